@@ -0,0 +1,253 @@
+// Modo comparação: dois conjuntos de filtros (UF e/ou BR), cada um com a sua cor no mapa, um quadro
+// lado a lado e o diagrama linear de cada BR, do km 0 ao fim do trecho em cada UF.
+export const SET_COLORS = { a: '#f97316', b: '#22d3ee', both: '#a855f7' };
+const SET_KEYS = ['a', 'b'];
+const OTHER_COLOR = '#475569';
+const MAX_STRIPS = 8;
+const STRIP_WIDTH = 640;
+const LABEL_WIDTH = 36;
+const ROW_HEIGHT = 18;
+const BAR_HEIGHT = 10;
+const AXIS_HEIGHT = 18;
+const MIN_RANGE_PX = 1.5;
+
+const formatNumber = (num) => new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 0 }).format(num);
+const formatKm = (num) => new Intl.NumberFormat('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(num);
+const formatShare = (value) => (value === null ? '—' : `${formatKm(value * 100)}%`);
+
+const isEmptySet = (set) => !set.uf && !set.road;
+
+// Conjunto vazio não casa com nada: só conta o que o usuário escolheu.
+const matchesSet = (set, props) =>
+  !isEmptySet(set) && (!set.uf || props.uf === set.uf) && (!set.road || props.road === set.road);
+
+// Conjuntos em que a feição entra: [], ['a'], ['b'] ou ['a', 'b'].
+export const setsOf = (sets, props) => SET_KEYS.filter((key) => matchesSet(sets[key], props));
+
+export const setColor = (sets, props) => {
+  const keys = setsOf(sets, props);
+  return SET_COLORS[keys.length > 1 ? 'both' : keys[0]] ?? OTHER_COLOR;
+};
+
+export const describeSet = (set) => {
+  if (set.uf && set.road) return `${set.road} em ${set.uf}`;
+  return set.road || set.uf || '—';
+};
+
+// Na URL: ?comparar=MG-116,BA (UF e/ou número da BR em cada lado, separados por vírgula).
+export const formatSets = (sets) =>
+  sets ? SET_KEYS.map((key) => [sets[key].uf, sets[key].road.replace(/^BR-/, '')].filter(Boolean).join('-')).join(',') : '';
+
+export const parseSets = (value) => {
+  const sides = value.split(',');
+  if (sides.length !== 2) return null;
+  const sets = Object.fromEntries(
+    sides.map((side, idx) => {
+      const set = { uf: '', road: '' };
+      side.split('-').forEach((token) => {
+        if (/^[a-z]{2}$/i.test(token)) set.uf = token.toUpperCase();
+        else if (/^\d{1,3}$/.test(token)) set.road = `BR-${token.padStart(3, '0')}`;
+      });
+      return [SET_KEYS[idx], set];
+    })
+  );
+  return SET_KEYS.every((key) => isEmptySet(sets[key])) ? null : sets;
+};
+
+const sumKm = (features) => features.reduce((acc, feature) => acc + (feature.properties.lengthKm ?? 0), 0);
+
+// Extensão de referência no OSM (network-stats.json do build) para o recorte do conjunto.
+const referenceKmOf = (set, reference) => {
+  if (!reference) return null;
+  if (set.uf && set.road) return reference.byRoadUf?.[`${set.road}|${set.uf}`] ?? null;
+  if (set.road) return reference.byRoad?.[set.road] ?? null;
+  return reference.byUf?.[set.uf] ?? null;
+};
+
+const summarizeSet = (set, features, corridors, reference) => {
+  const members = features.filter((feature) => matchesSet(set, feature.properties));
+  const km = sumKm(members);
+  const osmKm = referenceKmOf(set, reference);
+  const longest = corridors
+    .filter((corridor) => matchesSet(set, corridor.properties))
+    .reduce((best, corridor) => (!best || corridor.properties.lengthKm > best.lengthKm ? corridor.properties : best), null);
+  return { trechos: members.length, km, osmKm, share: osmKm ? Math.min(1, km / osmKm) : null, longest };
+};
+
+const SUMMARY_ROWS = [
+  ['Trechos', (row) => formatNumber(row.trechos)],
+  ['Km fiscalizados', (row) => formatKm(row.km)],
+  ['Km no OSM', (row) => (row.osmKm === null ? '—' : formatKm(row.osmKm))],
+  ['% fiscalizado', (row) => formatShare(row.share)],
+  [
+    'Maior corredor',
+    ({ longest }) => (longest ? `${formatKm(longest.lengthKm)} km (${longest.road}/${longest.uf}, km ${longest.kmStart}–${longest.kmEnd})` : '—')
+  ]
+];
+
+const renderSummary = (el, sets, rows) => {
+  const head = SET_KEYS.map(
+    (key) => `<th scope="col"><span class="comparison-panel__swatch" style="background: ${SET_COLORS[key]}"></span>${key.toUpperCase()}: ${describeSet(sets[key])}</th>`
+  ).join('');
+  const body = SUMMARY_ROWS.map(
+    ([label, format]) => `<tr><th scope="row">${label}</th>${SET_KEYS.map((key) => `<td>${format(rows[key])}</td>`).join('')}</tr>`
+  ).join('');
+  el.innerHTML = `<table><thead><tr><th></th>${head}</tr></thead><tbody>${body}</tbody></table>`;
+};
+
+// Uma linha por UF: a BR vai do km 0 ao fim do trecho na UF (o km da PRF recomeça em cada divisa). O fim é
+// a extensão no OSM ou o maior km da lista, o que for maior. Trechos dos conjuntos vão com a cor deles; os
+// demais trechos da BR, em cinza, para dar contexto.
+const buildStripRows = (road, members, context, reference) => {
+  const rows = new Map();
+  const rowOf = (uf) => {
+    if (!rows.has(uf)) rows.set(uf, { uf, lengthKm: reference?.byRoadUf?.[`${road}|${uf}`] ?? 0, ranges: [] });
+    return rows.get(uf);
+  };
+  Object.keys(reference?.byRoadUf ?? {})
+    .filter((key) => key.startsWith(`${road}|`))
+    .forEach((key) => rowOf(key.slice(road.length + 1)));
+  context
+    .filter((feature) => feature.properties.road === road)
+    .forEach((feature) => {
+      const { uf, kmStart, kmEnd, kind } = feature.properties;
+      const row = rowOf(uf);
+      row.lengthKm = Math.max(row.lengthKm, kmStart, kmEnd);
+      row.ranges.push({ kmStart: Math.min(kmStart, kmEnd), kmEnd: Math.max(kmStart, kmEnd), point: kind === 'point', color: members.get(feature) ?? OTHER_COLOR });
+    });
+  return [...rows.values()].sort((a, b) => a.uf.localeCompare(b.uf));
+};
+
+const renderStrip = (road, rows) => {
+  const maxKm = Math.max(1, ...rows.map((row) => row.lengthKm));
+  const scale = (STRIP_WIDTH - LABEL_WIDTH - 8) / maxKm;
+  const x = (km) => LABEL_WIDTH + km * scale;
+  // Cinza primeiro, para os trechos dos conjuntos ficarem por cima.
+  const byLayer = (a, b) => (a.color === OTHER_COLOR ? 0 : 1) - (b.color === OTHER_COLOR ? 0 : 1);
+  const body = rows
+    .map((row, idx) => {
+      const y = idx * ROW_HEIGHT;
+      const ranges = [...row.ranges]
+        .sort(byLayer)
+        .map((range) => {
+          const width = Math.max(MIN_RANGE_PX, (range.kmEnd - range.kmStart) * scale);
+          const label = range.point ? `radar no km ${range.kmStart}` : `km ${range.kmStart}–${range.kmEnd}`;
+          return `<rect x="${x(range.kmStart).toFixed(1)}" y="${y + 2}" width="${width.toFixed(1)}" height="${BAR_HEIGHT}" fill="${range.color}"><title>${road}/${row.uf}: ${label}</title></rect>`;
+        })
+        .join('');
+      return `
+        <text x="0" y="${y + BAR_HEIGHT}">${row.uf}</text>
+        <rect class="comparison-panel__track" x="${LABEL_WIDTH}" y="${y + 2}" width="${(row.lengthKm * scale).toFixed(1)}" height="${BAR_HEIGHT}"><title>${road}/${row.uf}: ${formatKm(row.lengthKm)} km</title></rect>
+        ${ranges}`;
+    })
+    .join('');
+  const axisY = rows.length * ROW_HEIGHT + 12;
+  const height = rows.length * ROW_HEIGHT + AXIS_HEIGHT;
+  return `
+    <figure class="comparison-panel__strip">
+      <figcaption>${road}</figcaption>
+      <svg viewBox="0 0 ${STRIP_WIDTH} ${height}" role="img" aria-label="Km fiscalizados da ${road} por UF">
+        ${body}
+        <text x="${LABEL_WIDTH}" y="${axisY}">km 0</text>
+        <text x="${STRIP_WIDTH - 8}" y="${axisY}" text-anchor="end">km ${formatNumber(maxKm)}</text>
+      </svg>
+    </figure>`;
+};
+
+const renderStrips = (el, sets, features, context, reference) => {
+  const members = new Map(features.map((feature) => [feature, setColor(sets, feature.properties)]));
+  const kmByRoad = features.reduce((acc, feature) => {
+    const { road, lengthKm = 0 } = feature.properties;
+    acc.set(road, (acc.get(road) ?? 0) + lengthKm);
+    return acc;
+  }, new Map());
+  const roads = [...kmByRoad.keys()].sort((a, b) => kmByRoad.get(b) - kmByRoad.get(a) || a.localeCompare(b));
+  const strips = roads.slice(0, MAX_STRIPS).map((road) => renderStrip(road, buildStripRows(road, members, context, reference)));
+  const rest = roads.length - MAX_STRIPS;
+  el.innerHTML = `
+    ${strips.join('')}
+    ${rest > 0 ? `<p class="stats-panel__note">Mais ${formatNumber(rest)} BRs nos conjuntos; escolha a BR para ver o diagrama delas.</p>` : ''}`;
+};
+
+const fillSelect = (select, values) => {
+  const frag = document.createDocumentFragment();
+  values.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    frag.appendChild(option);
+  });
+  select.appendChild(frag);
+};
+
+const selectValue = (select, value) => {
+  select.value = Array.from(select.options).some((option) => option.value === value) ? value : '';
+};
+
+// O modo vale enquanto o painel está aberto e ao menos um conjunto tem filtro. onChange só é chamado
+// quando os conjuntos em vigor mudam; defaultSet preenche o conjunto A na primeira abertura.
+export const createComparisonPanel = ({ panelEl, selects, summaryEl, stripsEl, defaultSet, onChange }) => {
+  let reference = null;
+
+  const readSet = (key) => ({ uf: selects[key].uf.value, road: selects[key].road.value });
+  const getSets = () => {
+    if (!panelEl.open) return null;
+    const sets = Object.fromEntries(SET_KEYS.map((key) => [key, readSet(key)]));
+    return SET_KEYS.every((key) => isEmptySet(sets[key])) ? null : sets;
+  };
+  let currentKey = formatSets(getSets());
+
+  const notify = () => {
+    const key = formatSets(getSets());
+    if (key === currentKey) return;
+    currentKey = key;
+    onChange();
+  };
+
+  SET_KEYS.forEach((key) => {
+    selects[key].uf.addEventListener('input', notify);
+    selects[key].road.addEventListener('input', notify);
+  });
+  panelEl.addEventListener('toggle', () => {
+    if (panelEl.open && SET_KEYS.every((key) => isEmptySet(readSet(key)))) {
+      const initial = defaultSet();
+      selectValue(selects.a.uf, initial.uf);
+      selectValue(selects.a.road, initial.road);
+    }
+    notify();
+  });
+
+  return {
+    getSets,
+    setOptions: (ufs, roads) => {
+      SET_KEYS.forEach((key) => {
+        fillSelect(selects[key].uf, ufs);
+        fillSelect(selects[key].road, roads);
+      });
+    },
+    setReference: (networkStats) => {
+      reference = networkStats;
+    },
+    // Vindo da URL ou do "Limpar filtros": aplica sem avisar, quem chama já refaz o mapa.
+    setSets: (sets) => {
+      SET_KEYS.forEach((key) => {
+        selectValue(selects[key].uf, sets?.[key].uf ?? '');
+        selectValue(selects[key].road, sets?.[key].road ?? '');
+      });
+      panelEl.open = Boolean(sets);
+      currentKey = formatSets(getSets());
+    },
+    // features e corridors: o que está no mapa (já filtrado pelos conjuntos); context: todos os trechos da release.
+    update: ({ features, corridors, context }) => {
+      const sets = getSets();
+      if (!sets) {
+        summaryEl.innerHTML = '<p>Escolha uma UF, uma BR ou as duas em cada conjunto.</p>';
+        stripsEl.innerHTML = '';
+        return;
+      }
+      const rows = Object.fromEntries(SET_KEYS.map((key) => [key, summarizeSet(sets[key], features, corridors, reference)]));
+      renderSummary(summaryEl, sets, rows);
+      renderStrips(stripsEl, sets, features, context, reference);
+    }
+  };
+};
@@ -0,0 +1,144 @@
+import { featureLines } from './route-matching.mjs';
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const trechoName = (props) =>
+  props.kind === 'point'
+    ? `Radar ${props.road}/${props.uf} km ${props.kmStart}${props.direction ? ` (${props.direction})` : ''}`
+    : `${props.road}/${props.uf} km ${props.kmStart}–${props.kmEnd}${props.direction ? ` (${props.direction})` : ''}`;
+
+const describeFilters = (filters) =>
+  Object.entries(filters)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${value}`)
+    .join('; ') || 'nenhum';
+
+const FEATURE_FIELDS = [
+  ['uf', 'uf'],
+  ['br', 'road'],
+  ['km_inicial', 'kmStart'],
+  ['km_final', 'kmEnd'],
+  ['extensao_km', 'lengthKm'],
+  ['sentido', 'direction'],
+  ['velocidade_max', 'speedLimit'],
+  ['na_lista_desde', 'firstSeen'],
+  ['na_lista_ate', 'lastSeen'],
+  ['obs', 'notes']
+];
+
+const toGeojson = (features, metadata) =>
+  JSON.stringify({ type: 'FeatureCollection', metadata, features }, null, 2);
+
+const kmlCoordinates = (line) => line.map(([lon, lat]) => `${lon},${lat}`).join(' ');
+
+const toKml = (features, metadata) => {
+  const placemarks = features.map((feature) => {
+    const props = feature.properties;
+    const lines = featureLines(feature.geometry).map((line) =>
+      line.length === 1
+        ? `<Point><coordinates>${kmlCoordinates(line)}</coordinates></Point>`
+        : `<LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(line)}</coordinates></LineString>`
+    );
+    const data = FEATURE_FIELDS.filter(([, key]) => props[key] !== undefined)
+      .map(([name, key]) => `<Data name="${name}"><value>${escapeXml(props[key])}</value></Data>`)
+      .join('');
+    return `
+    <Placemark>
+      <name>${escapeXml(trechoName(props))}</name>
+      <styleUrl>#trecho</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      <MultiGeometry>${lines.join('')}</MultiGeometry>
+    </Placemark>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(metadata.title)}</name>
+    <description>${escapeXml(`Release ${metadata.release} · filtros: ${describeFilters(metadata.filters)} · gerado em ${metadata.generatedAt}`)}</description>
+    <Style id="trecho"><LineStyle><color>ff1673f9</color><width>4</width></LineStyle></Style>${placemarks.join('')}
+  </Document>
+</kml>
+`;
+};
+
+// Radares fixos vão como waypoints; trechos, como trilhas.
+const toGpx = (features, metadata) => {
+  const waypoints = features
+    .filter((feature) => feature.geometry.type === 'Point')
+    .map((feature) => {
+      const props = feature.properties;
+      const [lon, lat] = feature.geometry.coordinates;
+      const limit = props.speedLimit ? `Velocidade máxima: ${props.speedLimit} km/h` : 'Radar fixo';
+      return `
+  <wpt lat="${lat}" lon="${lon}">
+    <name>${escapeXml(trechoName(props))}</name>
+    <desc>${escapeXml(limit)}</desc>
+  </wpt>`;
+    });
+  const tracks = features.filter((feature) => feature.geometry.type !== 'Point').map((feature) => {
+    const props = feature.properties;
+    const segments = featureLines(feature.geometry).map(
+      (line) => `<trkseg>${line.map(([lon, lat]) => `<trkpt lat="${lat}" lon="${lon}"/>`).join('')}</trkseg>`
+    );
+    return `
+  <trk>
+    <name>${escapeXml(trechoName(props))}</name>
+    <desc>${escapeXml(`Extensão fiscalizada: ${props.lengthKm} km`)}</desc>
+    ${segments.join('')}
+  </trk>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="radar-map" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(metadata.title)}</name>
+    <desc>${escapeXml(`Release ${metadata.release} · filtros: ${describeFilters(metadata.filters)}`)}</desc>
+    <time>${metadata.generatedAt}</time>
+  </metadata>${waypoints.join('')}${tracks.join('')}
+</gpx>
+`;
+};
+
+// As linhas com "#" no topo guardam a origem dos dados; planilhas que não as entendem podem ignorá-las.
+const toCsv = (features, metadata) => {
+  const header = [
+    `# ${metadata.title}`,
+    `# release: ${metadata.release}`,
+    `# filtros: ${describeFilters(metadata.filters)}`,
+    `# gerado em: ${metadata.generatedAt}`,
+    FEATURE_FIELDS.map(([name]) => name).join(',')
+  ];
+  const rows = features.map((feature) =>
+    FEATURE_FIELDS.map(([, key]) => escapeCsv(feature.properties[key])).join(',')
+  );
+  return `${header.concat(rows).join('\n')}\n`;
+};
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json', build: toGeojson },
+  kml: { label: 'KML (Google Earth)', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml', build: toKml },
+  gpx: { label: 'GPX (navegadores)', extension: 'gpx', mime: 'application/gpx+xml', build: toGpx },
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', build: toCsv }
+};
+
+export const downloadFeatures = (format, features, metadata) => {
+  const { extension, mime, build } = EXPORT_FORMATS[format];
+  const blob = new Blob([build(features, metadata)], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `trechos-radar-${metadata.release}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,1212 @@
+import { featureLines, matchRoute, parseTrack, trimTrack } from './route-matching.mjs';
+import { EXPORT_FORMATS, downloadFeatures } from './export.mjs';
+import { describeQuery, indexGazetteer, isEmptyQuery, matchesQuery, parseQuery } from './search.mjs';
+import { createStatsPanel } from './stats.mjs';
+import { SET_COLORS, createComparisonPanel, describeSet, formatSets, parseSets, setColor, setsOf } from './comparison.mjs';
+import { boundsOf, createTileRenderer, featureCenter } from './renderer.mjs';
+import { bearingDeg, createProximityTracker, replayTrack } from './proximity.mjs';
+import {
+  clearTiles,
+  downloadTiles,
+  estimateBytes,
+  geometryBbox,
+  registerServiceWorker,
+  tileSource,
+  tilesForArea
+} from './offline.mjs';
+
+const map = L.map('map', {
+  preferCanvas: true,
+  zoomSnap: 0.25,
+  scrollWheelZoom: true
+}).setView([-14.2, -51.9], 4.3);
+
+// Com CORS, para o service worker guardar os blocos.
+const tiles = tileSource();
+L.tileLayer(tiles.url, {
+  crossOrigin: true,
+  attribution: tiles.attribution
+}).addTo(map);
+
+const ufSelect = document.getElementById('ufSelect');
+const roadSelect = document.getElementById('roadSelect');
+const searchInput = document.getElementById('searchInput');
+const searchHintEl = document.getElementById('searchHint');
+const resetButton = document.getElementById('resetFilters');
+const summaryEl = document.getElementById('summary');
+const legendEl = document.getElementById('legend');
+const toggleHeat = document.getElementById('toggleHeat');
+const networkControl = document.getElementById('networkControl');
+const toggleNetwork = document.getElementById('toggleNetwork');
+const releaseControl = document.getElementById('releaseControl');
+const releaseSelect = document.getElementById('releaseSelect');
+const compareControl = document.getElementById('compareControl');
+const compareSelect = document.getElementById('compareSelect');
+const viewControl = document.getElementById('viewControl');
+const viewSelect = document.getElementById('viewSelect');
+const routeFileInput = document.getElementById('routeFile');
+const pickOriginButton = document.getElementById('pickOrigin');
+const pickDestinationButton = document.getElementById('pickDestination');
+const clearRouteButton = document.getElementById('clearRoute');
+const routeStatusEl = document.getElementById('routeStatus');
+const routeResultsEl = document.getElementById('routeResults');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportButton = document.getElementById('exportButton');
+const statsPanelEl = document.getElementById('statsPanel');
+const comparisonPanelEl = document.getElementById('comparisonPanel');
+const followPositionButton = document.getElementById('followPosition');
+const simulateFileInput = document.getElementById('simulateFile');
+const simulateSpeedSelect = document.getElementById('simulateSpeed');
+const stopProximityButton = document.getElementById('stopProximity');
+const proximityStatusEl = document.getElementById('proximityStatus');
+const proximityAlertEl = document.getElementById('proximityAlert');
+const connectionStatusEl = document.getElementById('connectionStatus');
+const dataSourceEl = document.getElementById('dataSource');
+const offlineAreaSelect = document.getElementById('offlineArea');
+const offlineLimitSelect = document.getElementById('offlineLimit');
+const downloadTilesButton = document.getElementById('downloadTiles');
+const clearTilesButton = document.getElementById('clearTiles');
+const offlineStatusEl = document.getElementById('offlineStatus');
+const offlineDownloadHint = document.getElementById('offlineDownloadHint');
+
+let datasetFeatures = [];
+let allFeatures = [];
+let datasetCorridors = [];
+let allCorridors = [];
+let visibleFeatures = [];
+let releaseIds = [];
+let kmByUf = new Map();
+let gazetteer = new Map();
+let totalKm = 0;
+let colorMode = 'road';
+let viewMode = 'trechos';
+let kmMin = 0;
+let kmMax = 0;
+let routeTrack = null;
+let routeOrigin = null;
+let routeDestination = null;
+let pickingPoint = null;
+let routeMatches = new Set();
+let openTrechoId = '';
+let restoringUrl = false;
+let networkFeatures = [];
+let networkLayer = null;
+let proximityTracker = null;
+let stopPositionSource = null;
+let proximityAlertTimer = null;
+let audioContext = null;
+let stateFeatures = [];
+let dataInfo = { generatedAt: null, cachedAt: null, fromCache: false };
+let dataFiles = {};
+let dataMetadata = null;
+let tileDownload = null;
+const routeLayer = L.layerGroup().addTo(map);
+const positionLayer = L.layerGroup().addTo(map);
+
+// A malha fica num pane abaixo do overlayPane (z-index 400) para nunca cobrir os trechos.
+map.createPane('network').style.zIndex = 350;
+const networkRenderer = L.canvas({ pane: 'network' });
+
+// Clicar de novo na UF ou BR já selecionada limpa o filtro.
+const toggleFilter = (select, value) => {
+  selectOption(select, select.value === value ? '' : value);
+  applyFilters();
+  syncUrl('push');
+};
+
+const statsPanel = createStatsPanel({
+  mapEl: document.getElementById('statsMap'),
+  metricSelect: document.getElementById('statsMetric'),
+  ufTable: document.getElementById('statsUfTable'),
+  roadTable: document.getElementById('statsRoadTable'),
+  histogramEl: document.getElementById('statsHistogram'),
+  onSelectUf: (uf) => toggleFilter(ufSelect, uf),
+  onSelectRoad: (road) => toggleFilter(roadSelect, road)
+});
+
+const comparisonPanel = createComparisonPanel({
+  panelEl: comparisonPanelEl,
+  selects: {
+    a: { uf: document.getElementById('compareUfA'), road: document.getElementById('compareRoadA') },
+    b: { uf: document.getElementById('compareUfB'), road: document.getElementById('compareRoadB') }
+  },
+  summaryEl: document.getElementById('comparisonSummary'),
+  stripsEl: document.getElementById('comparisonStrips'),
+  defaultSet: () => ({ uf: ufSelect.value, road: roadSelect.value }),
+  onChange: () => {
+    applyFilters();
+    syncUrl('push');
+  }
+});
+
+const palette = [
+  '#f97316',
+  '#facc15',
+  '#34d399',
+  '#22d3ee',
+  '#4f46e5',
+  '#ec4899',
+  '#a855f7',
+  '#60a5fa',
+  '#fb7185'
+];
+
+const diffColors = {
+  added: '#22c55e',
+  removed: '#ef4444',
+  unchanged: '#64748b'
+};
+const diffLabels = {
+  added: 'Novo no período',
+  removed: 'Removido no período',
+  unchanged: 'Sem mudança'
+};
+
+const roadColorCache = new Map();
+const getRoadColor = (road) => {
+  if (roadColorCache.has(road)) return roadColorCache.get(road);
+  let hash = 0;
+  for (let i = 0; i < road.length; i += 1) {
+    hash = (hash * 31 + road.charCodeAt(i)) % palette.length;
+  }
+  const color = palette[hash];
+  roadColorCache.set(road, color);
+  return color;
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const heatColor = (value, min, max) => {
+  if (max === min) return '#facc15';
+  const ratio = Math.min(1, Math.max(0, (value - min) / (max - min)));
+  const h = lerp(30, 0, ratio);
+  const s = lerp(80, 100, ratio);
+  const l = lerp(45, 55, ratio);
+  return `hsl(${h}deg ${s}% ${l}%)`;
+};
+
+// Trechos gerados antes do versionamento não têm a lista de releases e valem para todas.
+const inRelease = (feature, release) =>
+  !release || !feature.properties.releases || feature.properties.releases.includes(release);
+
+const getDiffStatus = (feature) => {
+  const { release, compare } = getFilters();
+  const inCurrent = inRelease(feature, release);
+  const inBase = inRelease(feature, compare);
+  if (inCurrent && !inBase) return 'added';
+  if (!inCurrent && inBase) return 'removed';
+  return 'unchanged';
+};
+
+const formatNumber = (num) => new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 0 }).format(num);
+const formatKm = (num) => new Intl.NumberFormat('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(num);
+
+// Tudo que vem dos dados (observações da planilha, nomes, km) passa por aqui antes de entrar num innerHTML.
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const updateLegend = () => {
+  legendEl.innerHTML = '';
+  const legendTitle = document.createElement('h4');
+  const { compare, sets } = getFilters();
+  if (sets) {
+    legendTitle.textContent = 'Comparação';
+  } else if (compare) {
+    legendTitle.textContent = `Mudanças desde ${compare}`;
+  } else {
+    legendTitle.textContent = colorMode === 'heat' ? 'Km fiscalizados por UF' : 'Legenda (cores por rodovia)';
+  }
+  legendEl.appendChild(legendTitle);
+
+  if (sets) {
+    [
+      [SET_COLORS.a, `A: ${describeSet(sets.a)}`],
+      [SET_COLORS.b, `B: ${describeSet(sets.b)}`],
+      [SET_COLORS.both, 'Nos dois conjuntos']
+    ].forEach(([color, text]) => {
+      const item = document.createElement('div');
+      item.className = 'legend__item';
+      const indicator = document.createElement('span');
+      indicator.style.background = color;
+      const label = document.createElement('div');
+      label.textContent = text;
+      item.append(indicator, label);
+      legendEl.appendChild(item);
+    });
+  } else if (compare) {
+    Object.entries(diffColors).forEach(([status, color]) => {
+      const item = document.createElement('div');
+      item.className = 'legend__item';
+      const indicator = document.createElement('span');
+      indicator.style.background = color;
+      const label = document.createElement('div');
+      label.textContent = diffLabels[status];
+      item.append(indicator, label);
+      legendEl.appendChild(item);
+    });
+  } else if (colorMode === 'heat') {
+    const values = Array.from(kmByUf.values());
+    const steps = 5;
+    for (let i = 0; i < steps; i += 1) {
+      const value = lerp(kmMin, kmMax, i / (steps - 1));
+      const item = document.createElement('div');
+      item.className = 'legend__item';
+      const indicator = document.createElement('span');
+      indicator.style.background = heatColor(value, kmMin, kmMax);
+      const label = document.createElement('div');
+      label.textContent = `${formatNumber(value)} km`;
+      item.append(indicator, label);
+      legendEl.appendChild(item);
+    }
+  } else {
+    const sampleRoads = Array.from(new Set(allFeatures.map((f) => f.properties.road))).slice(0, 6);
+    sampleRoads.forEach((road) => {
+      const item = document.createElement('div');
+      item.className = 'legend__item';
+      const indicator = document.createElement('span');
+      indicator.style.background = getRoadColor(road);
+      const label = document.createElement('div');
+      label.textContent = road;
+      item.append(indicator, label);
+      legendEl.appendChild(item);
+    });
+    if (sampleRoads.length === 6) {
+      const note = document.createElement('div');
+      note.textContent = 'Demais BRs seguem a mesma lógica.';
+      note.style.fontSize = '0.8rem';
+      note.style.color = '#9ca3af';
+      legendEl.appendChild(note);
+    }
+  }
+};
+
+const emphasizeRoute = (feature, style) => {
+  if (!routeMatches.size) return style;
+  return routeMatches.has(feature)
+    ? { ...style, weight: style.weight + 2.5, opacity: 1 }
+    : { ...style, opacity: 0.2 };
+};
+
+const styleFeature = (feature) => emphasizeRoute(feature, baseStyle(feature));
+
+const baseStyle = (feature) => {
+  const { sets, compare } = getFilters();
+  if (sets) {
+    return { color: setColor(sets, feature.properties), weight: 4, opacity: 0.9 };
+  }
+  if (compare) {
+    const status = getDiffStatus(feature);
+    return {
+      color: diffColors[status],
+      weight: status === 'unchanged' ? 2.5 : 4.5,
+      opacity: status === 'unchanged' ? 0.45 : 0.95,
+      dashArray: status === 'removed' ? '6 6' : null
+    };
+  }
+  const kmTotal = kmByUf.get(feature.properties.uf) ?? 0;
+  const color =
+    colorMode === 'heat'
+      ? heatColor(kmTotal, kmMin, kmMax)
+      : getRoadColor(feature.properties.road);
+  return {
+    color,
+    weight: 3.5,
+    opacity: 0.85
+  };
+};
+
+const describeCorridorParts = (props) =>
+  props.trechos.map((trecho) => `${trecho.kmStart}–${trecho.kmEnd}`).join(', ');
+
+const buildPopupContent = (props) => {
+  const direction = props.direction ? `, sentido ${escapeHtml(props.direction)}` : '';
+  if (props.trechos) {
+    return `
+    <strong>${escapeHtml(props.road)}</strong><br />
+    UF: ${escapeHtml(props.uf)}<br />
+    Corredor do km ${escapeHtml(props.kmStart)} ao ${escapeHtml(props.kmEnd)}${direction}<br />
+    Extensão contínua: ${formatKm(props.lengthKm)} km<br />
+    ${formatNumber(props.trechoCount)} trechos da lista: km ${escapeHtml(describeCorridorParts(props))}
+  `;
+  }
+  const history = props.firstSeen
+    ? `<br />Na lista desde ${escapeHtml(props.firstSeen)}${props.lastSeen !== releaseIds[releaseIds.length - 1] ? ` até ${escapeHtml(props.lastSeen)}` : ''}`
+    : '';
+  const location =
+    props.kind === 'point'
+      ? `Radar fixo no km ${escapeHtml(props.kmStart)}${direction}`
+      : `Km ${escapeHtml(props.kmStart)} – ${escapeHtml(props.kmEnd)}${direction}<br />Extensão fiscalizada: ${formatKm(props.lengthKm)} km`;
+  const limit = props.speedLimit ? `<br />Velocidade máxima: <strong>${escapeHtml(props.speedLimit)} km/h</strong>` : '';
+  return `
+    <strong>${escapeHtml(props.road)}</strong><br />
+    UF: ${escapeHtml(props.uf)}<br />
+    ${location}${limit}${history}${props.notes ? `<br />Obs.: ${escapeHtml(props.notes)}` : ''}
+  `;
+};
+
+const monitoredShare = (monitored, osm) => (osm ? ` (${formatNumber(Math.min(100, (monitored / osm) * 100))}%)` : '');
+
+const buildNetworkPopup = (props) => {
+  const { release } = getFilters();
+  const monitored = props.monitoredKm[release] ?? 0;
+  const roadPieces = networkFeatures.filter((feature) => feature.properties.road === props.road);
+  const roadOsm = roadPieces.reduce((acc, feature) => acc + feature.properties.osmKm, 0);
+  const roadMonitored = roadPieces.reduce((acc, feature) => acc + (feature.properties.monitoredKm[release] ?? 0), 0);
+  return `
+    <strong>${escapeHtml(props.road)}/${escapeHtml(props.uf)}:</strong> ${formatKm(monitored)} de ${formatKm(props.osmKm)} km fiscalizados${monitoredShare(monitored, props.osmKm)}<br />
+    ${escapeHtml(props.road)} inteira: ${formatKm(roadMonitored)} de ${formatKm(roadOsm)} km${monitoredShare(roadMonitored, roadOsm)}<br />
+    <small>Extensão conforme a geometria do OpenStreetMap.</small>
+  `;
+};
+
+// Redesenha a malha com os filtros de UF e BR; a busca e o modo comparação não se aplicam a ela.
+let networkKey = '';
+
+const renderNetwork = () => {
+  const { uf, road } = getFilters();
+  // Só refaz a camada quando UF, BR ou o liga/desliga mudam, não a cada tecla na busca.
+  const key = toggleNetwork.checked ? `${uf}|${road}` : '';
+  if (key === networkKey) return;
+  networkKey = key;
+  if (networkLayer) {
+    networkLayer.remove();
+    networkLayer = null;
+  }
+  if (!toggleNetwork.checked) return;
+  const features = networkFeatures.filter(
+    (feature) => (!uf || feature.properties.uf === uf) && (!road || feature.properties.road === road)
+  );
+  networkLayer = L.geoJSON(features, {
+    pane: 'network',
+    renderer: networkRenderer,
+    style: { color: '#94a3b8', weight: 2, opacity: 0.55 },
+    onEachFeature: (feature, layer) => layer.bindPopup(() => buildNetworkPopup(feature.properties))
+  }).addTo(map);
+};
+
+const sumKm = (features) => features.reduce((acc, feature) => acc + (feature.properties.lengthKm ?? 0), 0);
+
+// A lista da PRF corta os corredores em linhas de 10 km; o resumo mostra as duas contagens.
+const describeCorridors = (corridors) => {
+  if (!corridors.length) return '';
+  const longest = Math.max(...corridors.map((corridor) => corridor.properties.lengthKm ?? 0));
+  return ` &middot; <strong>${formatNumber(corridors.length)}</strong> corredores contínuos / ${formatKm(sumKm(corridors))} km (maior: ${formatKm(longest)} km)`;
+};
+
+const updateSummary = (features, corridors) => {
+  if (!features.length) {
+    summaryEl.textContent = 'Nenhum trecho encontrado com os filtros aplicados.';
+    return;
+  }
+  const { release, compare } = getFilters();
+  const current = features.filter((feature) => inRelease(feature, release));
+  const km = sumKm(current);
+  const currentCorridors = corridors.filter((corridor) => inRelease(corridor, release));
+  let changes = '';
+  if (compare) {
+    const added = features.filter((feature) => getDiffStatus(feature) === 'added').length;
+    const removed = features.filter((feature) => getDiffStatus(feature) === 'removed').length;
+    changes = ` &middot; Desde ${compare}: <strong>+${formatNumber(added)}</strong> novos / <strong>−${formatNumber(removed)}</strong> removidos`;
+  }
+  const totalCorridors = allCorridors.length ? ` em ${formatNumber(allCorridors.length)} corredores` : '';
+  const releaseLabel = release ? ` na lista de ${formatRelease(release)}` : '';
+  summaryEl.innerHTML = `
+    <strong>${formatNumber(current.length)}</strong> trechos visíveis &middot;
+    <strong>${formatKm(km)}</strong> km monitorados${describeCorridors(currentCorridors)} &middot;
+    Total Brasil${releaseLabel}: ${formatNumber(allFeatures.length)} trechos${totalCorridors} / ${formatKm(totalKm)} km${changes}
+  `;
+};
+
+const getFilters = () => {
+  const uf = ufSelect.value;
+  const road = roadSelect.value;
+  const term = searchInput.value.trim();
+  const release = releaseSelect.value;
+  const sets = comparisonPanel.getSets();
+  // Com os dois conjuntos no mapa, as cores já dizem a qual deles o trecho pertence: a comparação entre
+  // listas fica suspensa até o painel fechar.
+  const compare = sets ? '' : compareSelect.value;
+  return { uf, road, term, release, compare, sets };
+};
+
+// Trechos e corredores trazem o id do build, o mesmo dos blocos de data/render/; dados gerados antes
+// dele caem na regra antiga: UF, BR, faixa de km e, quando há, radar fixo e sentido.
+const featureId = (props) =>
+  props.id ??
+  [props.uf, props.roadNumber ?? props.road, props.kmStart, props.kmEnd, props.kind === 'point' ? 'radar' : null, props.direction]
+    .filter((part) => part !== null && part !== undefined)
+    .join('-');
+
+// Setas do sentido fiscalizado, só de perto: no meio do trecho ou sobre o radar fixo.
+const DIRECTION_MIN_ZOOM = 9;
+const directionLayer = L.layerGroup().addTo(map);
+
+const directionArrow = (feature) => {
+  const { direction, bearing } = feature.properties;
+  if (!direction) return null;
+  if (feature.geometry.type === 'Point') {
+    const [lon, lat] = feature.geometry.coordinates;
+    return { latlng: L.latLng(lat, lon), angle: bearing };
+  }
+  // As linhas vêm na ordem do km; no sentido decrescente o tráfego anda ao contrário delas.
+  const line = featureLines(feature.geometry).reduce((longest, candidate) => (candidate.length > longest.length ? candidate : longest), []);
+  if (line.length < 2) return null;
+  const idx = Math.min(Math.floor(line.length / 2), line.length - 2);
+  const angle = bearingDeg(line[idx], line[idx + 1]);
+  return { latlng: L.latLng(line[idx][1], line[idx][0]), angle: direction === 'decrescente' ? (angle + 180) % 360 : angle };
+};
+
+const renderDirections = () => {
+  directionLayer.clearLayers();
+  if (map.getZoom() < DIRECTION_MIN_ZOOM) return;
+  const bounds = map.getBounds();
+  visibleFeatures.forEach((feature) => {
+    const arrow = directionArrow(feature);
+    if (!arrow || !bounds.contains(arrow.latlng)) return;
+    L.marker(arrow.latlng, {
+      icon: L.divIcon({
+        className: 'direction-arrow',
+        html: `<span style="transform: rotate(${Math.round(arrow.angle)}deg)">▲</span>`,
+        iconSize: [16, 16]
+      }),
+      interactive: false,
+      keyboard: false
+    }).addTo(directionLayer);
+  });
+};
+map.on('moveend', renderDirections);
+
+// Trechos e corredores passam pelos mesmos filtros; o modo de exibição só escolhe qual vai ao mapa.
+const filterFeatures = (dataset, releaseFeatures, query) => {
+  const { uf, road, release, compare, sets } = getFilters();
+  let filtered = compare
+    ? dataset.filter((feature) => inRelease(feature, release) || inRelease(feature, compare))
+    : releaseFeatures;
+  if (sets) {
+    filtered = filtered.filter((feature) => setsOf(sets, feature.properties).length);
+  } else {
+    if (uf) filtered = filtered.filter((feature) => feature.properties.uf === uf);
+    if (road) filtered = filtered.filter((feature) => feature.properties.road === road);
+  }
+  if (!isEmptyQuery(query)) {
+    filtered = filtered.filter((feature) => matchesQuery(feature, query));
+  }
+  return filtered;
+};
+
+// Um popup só, reaproveitado: a feição clicada ou vinda da URL define o conteúdo.
+const trechoPopup = L.popup();
+
+const openFeaturePopup = (feature, latlng = featureCenter(feature)) => {
+  openTrechoId = featureId(feature.properties);
+  trechoPopup.setLatLng(latlng).setContent(buildPopupContent(feature.properties)).openOn(map);
+  syncUrl('push');
+};
+
+map.on('popupclose', (event) => {
+  if (event.popup !== trechoPopup || !openTrechoId) return;
+  openTrechoId = '';
+  syncUrl('replace');
+});
+
+const renderer = createTileRenderer(map, {
+  baseUrl: 'data/render/',
+  idOf: (props) => featureId(props),
+  style: styleFeature,
+  onClick: (feature, latlng) => {
+    const bounds = boundsOf([feature]);
+    if (bounds.isValid()) {
+      map.fitBounds(bounds, { padding: [40, 40], maxZoom: 11 });
+    }
+    openFeaturePopup(feature, latlng);
+  }
+});
+
+const applyFilters = ({ fitView = true } = {}) => {
+  const { term } = getFilters();
+  const query = parseQuery(term, gazetteer);
+  searchHintEl.textContent = term ? `Buscando: ${describeQuery(query) || 'nada reconhecido'}` : '';
+  const trechos = filterFeatures(datasetFeatures, allFeatures, query);
+  const corridors = filterFeatures(datasetCorridors, allCorridors, query);
+  const filtered = viewMode === 'corredores' ? corridors : trechos;
+
+  renderer.show(viewMode, filtered);
+
+  if (filtered.length && fitView) {
+    const bounds = boundsOf(filtered);
+    if (bounds.isValid()) {
+      map.fitBounds(bounds, { padding: [24, 24] });
+    }
+  }
+
+  visibleFeatures = filtered;
+  renderDirections();
+  renderNetwork();
+  updateSummary(trechos, corridors);
+  const { uf, road } = getFilters();
+  statsPanel.update(allFeatures, filtered, { uf, road, noun: viewMode === 'corredores' ? 'corredores' : 'trechos' });
+  comparisonPanel.update({ features: trechos, corridors, context: allFeatures });
+  updateLegend();
+};
+
+Object.entries(EXPORT_FORMATS).forEach(([value, { label }]) => {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  exportFormatSelect.appendChild(option);
+});
+
+// Exporta só o que está em vigor na release escolhida; removidos do modo comparação ficam de fora.
+const exportVisible = () => {
+  const { uf, road, term, release, compare, sets } = getFilters();
+  const features = visibleFeatures.filter((feature) => inRelease(feature, release));
+  downloadFeatures(exportFormatSelect.value, features, {
+    title: 'Trechos com fiscalização por radar (PRF)',
+    release: release || 'sem-versao',
+    generatedAt: new Date().toISOString(),
+    filters: sets ? { comparar: formatSets(sets), busca: term } : { uf, road, busca: term, desde: compare },
+    count: features.length,
+    source: window.location.href
+  });
+};
+
+const routeCoords = () => {
+  if (routeTrack) return trimTrack(routeTrack, routeOrigin, routeDestination);
+  if (routeOrigin && routeDestination) return [routeOrigin, routeDestination];
+  return null;
+};
+
+const renderRouteResults = (matches, totalKm, straightLine) => {
+  routeResultsEl.innerHTML = '';
+  const km = matches.reduce((acc, match) => acc + (match.feature.properties.lengthKm ?? 0), 0);
+  routeStatusEl.innerHTML = `
+    Rota de <strong>${formatKm(totalKm)}</strong> km${straightLine ? ' (linha reta)' : ''} &middot;
+    <strong>${formatNumber(matches.length)}</strong> trechos fiscalizados / ${formatKm(km)} km
+  `;
+  const frag = document.createDocumentFragment();
+  matches.forEach(({ feature, entryKm }) => {
+    const props = feature.properties;
+    const item = document.createElement('li');
+    item.textContent = `${props.road}/${props.uf} · km ${props.kmStart} – ${props.kmEnd} · a ${formatKm(entryKm)} km do início`;
+    item.addEventListener('click', () => {
+      const bounds = L.geoJSON(feature).getBounds();
+      if (bounds.isValid()) {
+        map.fitBounds(bounds, { padding: [40, 40], maxZoom: 11 });
+      }
+    });
+    frag.appendChild(item);
+  });
+  routeResultsEl.appendChild(frag);
+};
+
+const isCorridorPart = (corridor, feature) => {
+  const { uf, road, trechos } = corridor.properties;
+  const props = feature.properties;
+  return (
+    uf === props.uf &&
+    road === props.road &&
+    trechos.some((trecho) => trecho.kmStart === props.kmStart && trecho.kmEnd === props.kmEnd)
+  );
+};
+
+const computeRoute = () => {
+  routeLayer.clearLayers();
+  routeMatches = new Set();
+  [
+    [routeOrigin, 'Origem'],
+    [routeDestination, 'Destino']
+  ].forEach(([coord, label]) => {
+    if (coord) L.marker([coord[1], coord[0]], { title: label }).bindTooltip(label).addTo(routeLayer);
+  });
+  const coords = routeCoords();
+  if (!coords) {
+    routeResultsEl.innerHTML = '';
+    routeStatusEl.textContent = routeOrigin || routeDestination ? 'Marque o outro ponto ou carregue uma rota.' : '';
+    return;
+  }
+  L.polyline(
+    coords.map(([lon, lat]) => [lat, lon]),
+    { color: '#e2e8f0', weight: 3, opacity: 0.8, dashArray: '4 6', interactive: false }
+  ).addTo(routeLayer);
+  const { totalKm, matches } = matchRoute(coords, allFeatures);
+  routeMatches = new Set(matches.map((match) => match.feature));
+  allCorridors
+    .filter((corridor) => matches.some(({ feature }) => isCorridorPart(corridor, feature)))
+    .forEach((corridor) => routeMatches.add(corridor));
+  renderRouteResults(matches, totalKm, !routeTrack);
+};
+
+const startPicking = (target) => {
+  pickingPoint = pickingPoint === target ? null : target;
+  map.getContainer().classList.toggle('map--picking', Boolean(pickingPoint));
+  pickOriginButton.classList.toggle('button--active', pickingPoint === 'origin');
+  pickDestinationButton.classList.toggle('button--active', pickingPoint === 'destination');
+};
+
+const populateSelect = (select, values) => {
+  const frag = document.createDocumentFragment();
+  values.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    frag.appendChild(option);
+  });
+  select.appendChild(frag);
+};
+
+const DATA_STALE_DAYS = 45;
+const DAY_MS = 86400000;
+const formatDate = (iso) => new Date(iso).toLocaleDateString('pt-BR');
+
+// Aviso acima do resumo: sem conexão (dados vindos do cache do service worker) ou dados antigos.
+const updateConnectionStatus = () => {
+  const offline = !navigator.onLine || dataInfo.fromCache;
+  const ageDays = dataInfo.generatedAt ? Math.floor((Date.now() - Date.parse(dataInfo.generatedAt)) / DAY_MS) : null;
+  let message = '';
+  if (offline) {
+    const savedAt = dataInfo.cachedAt ? ` salvos em ${formatDate(dataInfo.cachedAt)}` : ' salvos no aparelho';
+    message = `Sem conexão: usando os dados${savedAt}. O mapa de fundo só aparece nas áreas baixadas.`;
+  } else if (ageDays !== null && ageDays > DATA_STALE_DAYS) {
+    message = `Dados gerados em ${formatDate(dataInfo.generatedAt)}, há ${formatNumber(ageDays)} dias: podem estar desatualizados.`;
+  }
+  connectionStatusEl.textContent = message;
+  connectionStatusEl.classList.toggle('connection-status--offline', offline);
+  connectionStatusEl.hidden = !message;
+};
+
+// Arquivos complementares: se faltarem, a parte da página que depende deles fica de fora.
+const fetchOptionalJson = (url) =>
+  fetch(url)
+    .then((response) => (response.ok ? response.json() : null))
+    .catch(() => null);
+
+// Publicação (scripts/publish-site.mjs): latest.json aponta para os arquivos com nome versionado pelo
+// conteúdo e para os metadados. Sem ele, como numa cópia manual de public/data/, valem os nomes do build.
+const dataUrl = (name) => `data/${dataFiles[name] ?? name}`;
+
+const MONTHS = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'];
+// "2025-11" vira "Nov/2025"; listas com dia ("2025-11-05") viram "05/11/2025".
+const formatRelease = (id) => {
+  const [year, month, day] = id.split('-');
+  return day ? `${day}/${month}/${year}` : `${MONTHS[Number(month) - 1]}/${year}`;
+};
+
+// Rodapé: lista da PRF publicada, data do build e commit de origem, quando há metadados.
+const updateDataSource = () => {
+  const release = dataMetadata?.release ?? releaseIds[releaseIds.length - 1];
+  const parts = release ? [`lista de ${formatRelease(release)}`] : [];
+  if (dataInfo.generatedAt) parts.push(`dados gerados em ${formatDate(dataInfo.generatedAt)}`);
+  if (dataMetadata?.commit) parts.push(`versão ${dataMetadata.commit.sha.slice(0, 7)}`);
+  dataSourceEl.textContent = parts.length ? ` (${parts.join(', ')})` : '';
+};
+
+// API opcional (scripts/serve-api.mjs) no lugar dos arquivos estáticos de trechos e corredores:
+// ?api=http://localhost:8787 na URL ou <meta name="radar-api" content="..."> no index.html.
+const apiParam = new URLSearchParams(window.location.search).get('api');
+const API_BASE = (apiParam ?? document.querySelector('meta[name="radar-api"]')?.content ?? '').replace(/\/+$/, '');
+
+const loadData = async () => {
+  summaryEl.textContent = 'Baixando GeoJSON com os trechos monitorados...';
+  const latest = await fetchOptionalJson('data/latest.json');
+  dataFiles = latest?.files ?? {};
+  // O índice é pequeno: com ele os filtros de UF e BR ficam prontos enquanto a geometria baixa.
+  const [outputIndex, metadata] = await Promise.all([
+    fetchOptionalJson(API_BASE ? `${API_BASE}/index` : dataUrl('index.json')),
+    latest?.metadata ? fetchOptionalJson(`data/${latest.metadata}`) : null
+  ]);
+  dataMetadata = metadata;
+  if (outputIndex) {
+    populateSelect(ufSelect, outputIndex.ufs.map(({ uf }) => uf));
+    populateSelect(roadSelect, outputIndex.roads.map(({ road }) => road));
+    summaryEl.textContent = `Baixando ${formatNumber(outputIndex.totals.trechos)} trechos monitorados (${formatKm(outputIndex.totals.km)} km)...`;
+  }
+  // A TopoJSON, quando publicada, traz trechos e corredores num arquivo só e bem menor.
+  const topojsonFile = window.topojson && !API_BASE ? outputIndex?.files?.topojson : null;
+  const trechosUrl = API_BASE ? `${API_BASE}/trechos` : dataUrl('trechos.geojson');
+  const corridorsUrl = API_BASE ? `${API_BASE}/corredores` : dataUrl('corridors.geojson');
+  const [response, gazetteerData, corridorsData, statesData, networkStats, networkData, buildManifest] = await Promise.all([
+    fetch(topojsonFile ? dataUrl(topojsonFile) : trechosUrl).catch(() => null),
+    fetchOptionalJson(dataUrl('municipios.json')),
+    topojsonFile ? null : fetchOptionalJson(corridorsUrl),
+    fetchOptionalJson(dataUrl('states.geojson')),
+    fetchOptionalJson(dataUrl('network-stats.json')),
+    fetchOptionalJson(dataUrl('network.geojson')),
+    fetchOptionalJson(dataUrl('build-manifest.json'))
+  ]);
+  if (!response?.ok) {
+    summaryEl.textContent = 'Erro ao carregar dados, tente novamente.';
+    return;
+  }
+  const data = await response.json();
+  const [trechosData, corridorsCollection] = topojsonFile
+    ? [topojson.feature(data, data.objects.trechos), topojson.feature(data, data.objects.corredores)]
+    : [data, corridorsData];
+  dataInfo = {
+    generatedAt: dataMetadata?.generatedAt ?? buildManifest?.generatedAt ?? data.generatedAt ?? null,
+    cachedAt: response.headers.get('X-Radar-Cached-At'),
+    fromCache: response.headers.get('X-Radar-Offline') === '1'
+  };
+  updateConnectionStatus();
+  // Sem o gazetteer a busca continua funcionando, só não reconhece nomes de municípios.
+  if (gazetteerData) gazetteer = indexGazetteer(gazetteerData);
+  datasetFeatures = trechosData.features ?? [];
+  datasetCorridors = corridorsCollection?.features ?? [];
+  viewControl.hidden = !datasetCorridors.length;
+  statsPanel.setReference(statesData, networkStats);
+  comparisonPanel.setReference(networkStats);
+  stateFeatures = statesData?.features ?? [];
+  networkFeatures = networkData?.features ?? [];
+  networkControl.hidden = !networkFeatures.length;
+  releaseIds = Array.from(new Set(datasetFeatures.flatMap((f) => f.properties.releases ?? []))).sort();
+  if (releaseIds.length) {
+    populateSelect(releaseSelect, releaseIds.slice().reverse());
+    releaseSelect.value = releaseIds[releaseIds.length - 1];
+    releaseControl.hidden = false;
+  }
+  if (releaseIds.length > 1) {
+    populateSelect(compareSelect, releaseIds.slice().reverse());
+    compareControl.hidden = false;
+  }
+
+  const ufValues = Array.from(new Set(datasetFeatures.map((f) => f.properties.uf))).sort();
+  if (!outputIndex) {
+    populateSelect(ufSelect, ufValues);
+    populateSelect(roadSelect, Array.from(new Set(datasetFeatures.map((f) => f.properties.road))).sort());
+  }
+  comparisonPanel.setOptions(ufValues, Array.from(new Set(datasetFeatures.map((f) => f.properties.road))).sort());
+  populateSelect(offlineAreaSelect, ufValues.filter((uf) => stateFeatures.some((feature) => feature.properties.uf === uf)));
+
+  updateDataSource();
+
+  await renderer.load(dataUrl('render/'));
+  applyUrlState();
+  syncUrl('replace');
+};
+
+const selectRelease = ({ fitView = true } = {}) => {
+  const { release } = getFilters();
+  allFeatures = datasetFeatures.filter((feature) => inRelease(feature, release));
+  if (proximityTracker) proximityTracker = createProximityTracker(allFeatures);
+  allCorridors = datasetCorridors.filter((corridor) => inRelease(corridor, release));
+  totalKm = allFeatures.reduce((acc, feature) => acc + (feature.properties.lengthKm ?? 0), 0);
+
+  kmByUf = allFeatures.reduce((acc, feature) => {
+    const { uf, lengthKm = 0 } = feature.properties;
+    acc.set(uf, (acc.get(uf) ?? 0) + lengthKm);
+    return acc;
+  }, new Map());
+  const kmValues = Array.from(kmByUf.values());
+  kmMin = Math.min(...kmValues);
+  kmMax = Math.max(...kmValues);
+
+  computeRoute();
+  applyFilters({ fitView });
+};
+
+// Filtros ficam na query string e a vista do mapa no hash (#map=zoom/lat/lon, como no openstreetmap.org).
+const MAP_HASH_PATTERN = /^#map=([\d.]+)\/(-?[\d.]+)\/(-?[\d.]+)$/;
+
+const readUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  const view = MAP_HASH_PATTERN.exec(window.location.hash);
+  const br = params.get('br');
+  return {
+    uf: (params.get('uf') ?? '').toUpperCase(),
+    road: br ? `BR-${br.replace(/\D/g, '').padStart(3, '0')}` : '',
+    term: params.get('q') ?? '',
+    color: params.get('cor') === 'heat' ? 'heat' : 'road',
+    display: params.get('ver') === 'corredores' ? 'corredores' : 'trechos',
+    network: params.get('malha') === '1',
+    release: params.get('release') ?? '',
+    compare: params.get('desde') ?? '',
+    trecho: params.get('trecho') ?? '',
+    sets: parseSets(params.get('comparar') ?? ''),
+    view: view ? { zoom: Number(view[1]), lat: Number(view[2]), lng: Number(view[3]) } : null
+  };
+};
+
+const buildUrl = () => {
+  const { uf, road, release, compare, sets } = getFilters();
+  const params = new URLSearchParams();
+  if (uf) params.set('uf', uf);
+  if (road) params.set('br', road.replace(/^BR-/, ''));
+  if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+  if (colorMode === 'heat') params.set('cor', 'heat');
+  if (viewMode === 'corredores') params.set('ver', 'corredores');
+  if (toggleNetwork.checked) params.set('malha', '1');
+  if (release && release !== releaseIds[releaseIds.length - 1]) params.set('release', release);
+  if (compare) params.set('desde', compare);
+  if (sets) params.set('comparar', formatSets(sets));
+  if (openTrechoId) params.set('trecho', openTrechoId);
+  if (apiParam) params.set('api', apiParam);
+  const center = map.getCenter();
+  const query = params.toString();
+  return `${window.location.pathname}${query ? `?${query}` : ''}#map=${map.getZoom()}/${center.lat.toFixed(4)}/${center.lng.toFixed(4)}`;
+};
+
+const syncUrl = (mode) => {
+  if (restoringUrl) return;
+  const url = buildUrl();
+  const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+  if (url === current) return;
+  if (mode === 'push') {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+};
+
+const selectOption = (select, value) => {
+  select.value = Array.from(select.options).some((option) => option.value === value) ? value : '';
+};
+
+const applyUrlState = () => {
+  const state = readUrlState();
+  restoringUrl = true;
+  selectOption(ufSelect, state.uf);
+  selectOption(roadSelect, state.road);
+  searchInput.value = state.term;
+  toggleHeat.checked = state.color === 'heat';
+  toggleNetwork.checked = state.network && networkFeatures.length > 0;
+  colorMode = state.color;
+  viewMode = datasetCorridors.length ? state.display : 'trechos';
+  viewSelect.value = viewMode;
+  if (releaseIds.length) {
+    selectOption(releaseSelect, state.release || releaseIds[releaseIds.length - 1]);
+    if (!releaseSelect.value) releaseSelect.value = releaseIds[releaseIds.length - 1];
+  }
+  selectOption(compareSelect, state.compare);
+  comparisonPanel.setSets(state.sets);
+  selectRelease({ fitView: !state.view && !state.trecho });
+  if (state.view) {
+    map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+  }
+  const feature = state.trecho && visibleFeatures.find((candidate) => featureId(candidate.properties) === state.trecho);
+  if (feature) {
+    if (!state.view) {
+      map.fitBounds(boundsOf([feature]), { padding: [40, 40], maxZoom: 11, animate: false });
+    }
+    openFeaturePopup(feature);
+  } else {
+    openTrechoId = '';
+    map.closePopup(trechoPopup);
+  }
+  restoringUrl = false;
+};
+
+const onFiltersChanged = (mode) => () => {
+  applyFilters();
+  syncUrl(mode);
+};
+
+[ufSelect, roadSelect, compareSelect].forEach((input) => input.addEventListener('input', onFiltersChanged('push')));
+// Uma entrada de histórico por busca, não por tecla: a primeira tecla cria, as seguintes atualizam.
+let searchEditing = false;
+// Digitando, filtra sem mover o mapa e sem refazer tudo a cada tecla; ao confirmar, enquadra o resultado.
+const SEARCH_DEBOUNCE_MS = 150;
+let searchTimer = null;
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    applyFilters({ fitView: false });
+    syncUrl(searchEditing ? 'replace' : 'push');
+    searchEditing = true;
+  }, SEARCH_DEBOUNCE_MS);
+});
+searchInput.addEventListener('change', () => {
+  clearTimeout(searchTimer);
+  applyFilters();
+  searchEditing = false;
+});
+releaseSelect.addEventListener('input', () => {
+  selectRelease();
+  syncUrl('push');
+});
+viewSelect.addEventListener('input', () => {
+  viewMode = viewSelect.value;
+  applyFilters({ fitView: false });
+  syncUrl('push');
+});
+toggleNetwork.addEventListener('change', () => {
+  renderNetwork();
+  syncUrl('push');
+});
+toggleHeat.addEventListener('change', () => {
+  colorMode = toggleHeat.checked ? 'heat' : 'road';
+  applyFilters({ fitView: false });
+  syncUrl('push');
+});
+map.on('moveend', () => syncUrl('replace'));
+window.addEventListener('popstate', applyUrlState);
+statsPanelEl.addEventListener('toggle', () => statsPanel.invalidateSize());
+
+routeFileInput.addEventListener('change', async () => {
+  const [file] = routeFileInput.files;
+  if (!file) return;
+  try {
+    routeTrack = parseTrack(await file.text(), file.name);
+  } catch (error) {
+    routeStatusEl.textContent = `Não foi possível ler a rota: ${error.message}`;
+    return;
+  } finally {
+    routeFileInput.value = '';
+  }
+  computeRoute();
+  applyFilters();
+  const bounds = L.latLngBounds(routeTrack.map(([lon, lat]) => [lat, lon]));
+  if (bounds.isValid()) map.fitBounds(bounds, { padding: [24, 24] });
+});
+
+exportButton.addEventListener('click', exportVisible);
+pickOriginButton.addEventListener('click', () => startPicking('origin'));
+pickDestinationButton.addEventListener('click', () => startPicking('destination'));
+
+map.on('click', (event) => {
+  if (!pickingPoint) return;
+  const coord = [event.latlng.lng, event.latlng.lat];
+  if (pickingPoint === 'origin') {
+    routeOrigin = coord;
+  } else {
+    routeDestination = coord;
+  }
+  startPicking(null);
+  computeRoute();
+  applyFilters();
+});
+
+const ALERT_DURATION_MS = 6000;
+
+const describeTrecho = (props) => {
+  const limit = props.speedLimit ? ` (máx. ${props.speedLimit} km/h)` : '';
+  return props.kind === 'point'
+    ? `radar fixo ${props.road}/${props.uf} km ${props.kmStart}${limit}`
+    : `${props.road}/${props.uf} km ${props.kmStart}–${props.kmEnd}${limit}`;
+};
+
+// Dois bipes agudos ao entrar, um grave ao sair; o AudioContext só pode nascer depois de um toque do usuário.
+const playAlertTone = (kind) => {
+  audioContext ??= new AudioContext();
+  const tones = kind === 'enter' ? [880, 880] : [440];
+  tones.forEach((frequency, idx) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.value = 0.2;
+    oscillator.connect(gain).connect(audioContext.destination);
+    const start = audioContext.currentTime + idx * 0.25;
+    oscillator.start(start);
+    oscillator.stop(start + 0.18);
+  });
+};
+
+const showProximityAlert = (kind, feature) => {
+  proximityAlertEl.textContent =
+    kind === 'enter'
+      ? `Entrando em trecho fiscalizado: ${describeTrecho(feature.properties)}`
+      : `Fim do trecho fiscalizado: ${describeTrecho(feature.properties)}`;
+  proximityAlertEl.className = `proximity-alert proximity-alert--${kind}`;
+  proximityAlertEl.hidden = false;
+  clearTimeout(proximityAlertTimer);
+  proximityAlertTimer = setTimeout(() => {
+    proximityAlertEl.hidden = true;
+  }, ALERT_DURATION_MS);
+  try {
+    playAlertTone(kind);
+  } catch {
+    // Sem áudio disponível: fica só o aviso visual.
+  }
+  navigator.vibrate?.(kind === 'enter' ? [200, 100, 200] : 300);
+};
+
+let lastInside = null;
+
+const handlePosition = (coord) => {
+  if (!proximityTracker) return;
+  const { snapped, inside, next, event } = proximityTracker.update(coord);
+  positionLayer.clearLayers();
+  L.circleMarker([snapped[1], snapped[0]], {
+    radius: 8,
+    color: '#f8fafc',
+    weight: 3,
+    fillColor: inside ? '#f97316' : '#06b6d4',
+    fillOpacity: 1
+  }).addTo(positionLayer);
+  map.panTo([snapped[1], snapped[0]], { animate: true });
+
+  if (event === 'enter') showProximityAlert('enter', inside);
+  if (event === 'leave') showProximityAlert('leave', lastInside);
+  lastInside = inside;
+
+  const here = inside
+    ? `<strong>Em trecho fiscalizado:</strong> ${escapeHtml(describeTrecho(inside.properties))}`
+    : 'Fora de trecho fiscalizado';
+  const ahead = next
+    ? `Próximo trecho à frente: ${escapeHtml(describeTrecho(next.feature.properties))} a <strong>${formatKm(next.distanceKm)} km</strong>`
+    : 'Nenhum trecho fiscalizado à frente num raio de 50 km';
+  proximityStatusEl.innerHTML = `${here} &middot; ${ahead}`;
+};
+
+const stopProximity = () => {
+  stopPositionSource?.();
+  stopPositionSource = null;
+  proximityTracker = null;
+  lastInside = null;
+  positionLayer.clearLayers();
+  proximityAlertEl.hidden = true;
+  stopProximityButton.hidden = true;
+  followPositionButton.classList.remove('button--active');
+};
+
+const startProximity = (startSource, status) => {
+  stopProximity();
+  proximityTracker = createProximityTracker(allFeatures);
+  stopProximityButton.hidden = false;
+  proximityStatusEl.textContent = status;
+  stopPositionSource = startSource();
+};
+
+followPositionButton.addEventListener('click', () => {
+  if (!navigator.geolocation) {
+    proximityStatusEl.textContent = 'Este navegador não oferece geolocalização.';
+    return;
+  }
+  audioContext ??= new AudioContext();
+  startProximity(() => {
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => handlePosition([position.coords.longitude, position.coords.latitude]),
+      (error) => {
+        proximityStatusEl.textContent = `Não foi possível obter a posição: ${error.message}`;
+      },
+      { enableHighAccuracy: true, maximumAge: 2000, timeout: 15000 }
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, 'Aguardando a posição do GPS...');
+  followPositionButton.classList.add('button--active');
+  map.setZoom(Math.max(map.getZoom(), 13));
+});
+
+simulateFileInput.addEventListener('change', async () => {
+  const [file] = simulateFileInput.files;
+  if (!file) return;
+  let coords;
+  try {
+    coords = parseTrack(await file.text(), file.name);
+  } catch (error) {
+    proximityStatusEl.textContent = `Não foi possível ler a trilha: ${error.message}`;
+    return;
+  }
+  simulateFileInput.value = '';
+  audioContext ??= new AudioContext();
+  startProximity(() => {
+    const replay = replayTrack(coords, {
+      speedKmh: Number(simulateSpeedSelect.value),
+      onPosition: handlePosition,
+      onEnd: () => {
+        proximityStatusEl.textContent = 'Simulação concluída.';
+        stopProximityButton.hidden = true;
+      }
+    });
+    return replay.stop;
+  }, `Simulando ${file.name}...`);
+  map.setView([coords[0][1], coords[0][0]], Math.max(map.getZoom(), 12));
+});
+
+const offlineArea = () => {
+  if (offlineAreaSelect.value === 'view') {
+    const bounds = map.getBounds();
+    return { label: 'a área visível', bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()] };
+  }
+  const uf = offlineAreaSelect.value;
+  const state = stateFeatures.find((feature) => feature.properties.uf === uf);
+  return { label: uf, bbox: geometryBbox(state.geometry), uf };
+};
+
+const formatMb = (bytes) => `${formatKm(bytes / 1e6)} MB`;
+
+downloadTilesButton.addEventListener('click', async () => {
+  if (tileDownload) {
+    tileDownload.abort();
+    return;
+  }
+  if (!('caches' in window)) {
+    offlineStatusEl.textContent = 'Este navegador não permite guardar mapas para uso offline.';
+    return;
+  }
+  const { label, bbox, uf } = offlineArea();
+  const features = uf ? allFeatures.filter((feature) => feature.properties.uf === uf) : allFeatures;
+  const urls = tilesForArea(bbox, features, { template: tiles.url });
+  const maxBytes = Number(offlineLimitSelect.value) * 1e6;
+  const estimate = estimateBytes(urls.length);
+  const note = estimate > maxBytes ? ` (estimativa de ${formatMb(estimate)}: para no limite escolhido)` : '';
+  offlineStatusEl.textContent = `Baixando ${formatNumber(urls.length)} blocos para ${label}${note}...`;
+  tileDownload = new AbortController();
+  downloadTilesButton.textContent = 'Cancelar';
+  const result = await downloadTiles(urls, {
+    maxBytes,
+    signal: tileDownload.signal,
+    onProgress: ({ done, total, bytes }) => {
+      offlineStatusEl.textContent = `Baixando mapa de ${label}: ${formatNumber(done)} de ${formatNumber(total)} blocos (${formatMb(bytes)})${note}`;
+    }
+  });
+  tileDownload = null;
+  downloadTilesButton.textContent = 'Baixar mapa';
+  let outcome = 'concluído';
+  if (result.aborted) outcome = 'cancelado';
+  else if (result.limitReached) outcome = 'interrompido no limite de espaço';
+  offlineStatusEl.textContent =
+    `Download ${outcome}: ${formatNumber(result.done)} de ${formatNumber(result.total)} blocos de ${label}, ` +
+    `${formatMb(result.bytes)} novos (${formatNumber(result.skipped)} já estavam salvos).`;
+});
+
+clearTilesButton.addEventListener('click', async () => {
+  if (!('caches' in window)) return;
+  await clearTiles();
+  offlineStatusEl.textContent = 'Mapas salvos apagados.';
+});
+
+window.addEventListener('online', updateConnectionStatus);
+window.addEventListener('offline', updateConnectionStatus);
+
+stopProximityButton.addEventListener('click', () => {
+  stopProximity();
+  proximityStatusEl.textContent = '';
+});
+
+clearRouteButton.addEventListener('click', () => {
+  routeTrack = null;
+  routeOrigin = null;
+  routeDestination = null;
+  startPicking(null);
+  computeRoute();
+  applyFilters();
+});
+
+resetButton.addEventListener('click', () => {
+  ufSelect.value = '';
+  roadSelect.value = '';
+  searchInput.value = '';
+  compareSelect.value = '';
+  comparisonPanel.setSets(null);
+  toggleHeat.checked = false;
+  toggleNetwork.checked = false;
+  colorMode = 'road';
+  viewSelect.value = 'trechos';
+  viewMode = 'trechos';
+  if (releaseIds.length) {
+    releaseSelect.value = releaseIds[releaseIds.length - 1];
+  }
+  selectRelease();
+  syncUrl('push');
+});
+
+// Baixar blocos em lote só onde a fonte do mapa permite; nos outros casos ficam os vistos na navegação.
+[offlineAreaSelect, offlineLimitSelect, downloadTilesButton, offlineDownloadHint].forEach((el) => {
+  el.hidden = !tiles.allowsOffline;
+});
+
+registerServiceWorker(tiles);
+loadData();
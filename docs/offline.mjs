@@ -0,0 +1,130 @@
+import { featureLines } from './route-matching.mjs';
+
+// Mapa de fundo: <meta name="radar-tiles"> no index.html troca a fonte (modelo de URL sem {s}, para o
+// service worker guardar os blocos com a mesma URL que a página usa). Os servidores do OSM não permitem
+// baixar blocos em lote; o "Baixar mapa" só aparece com data-offline="sim", para fontes cujos termos permitam.
+const OSM_TILES = {
+  url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '&copy; <a href="https://www.openstreetmap.org/">OpenStreetMap</a> colaboradores',
+  allowsOffline: false
+};
+
+export const tileSource = () => {
+  const meta = document.querySelector('meta[name="radar-tiles"]');
+  if (!meta?.content) return OSM_TILES;
+  return {
+    url: meta.content,
+    attribution: meta.dataset.attribution || OSM_TILES.attribution,
+    allowsOffline: meta.dataset.offline === 'sim'
+  };
+};
+
+const TILE_CACHE = 'radar-tiles';
+const RUNTIME_TILE_CACHE = 'radar-tiles-runtime';
+// Visão geral da área inteira até o zoom 10; do 11 ao 13, só os blocos por onde passam trechos.
+const OVERVIEW_MAX_ZOOM = 10;
+const DETAIL_MAX_ZOOM = 13;
+const DOWNLOAD_CONCURRENCY = 2;
+// Estimativa para avisar antes de começar; o limite real é conferido com o tamanho de cada bloco baixado.
+const AVERAGE_TILE_BYTES = 20000;
+
+const tileX = (lon, zoom) => Math.floor(((lon + 180) / 360) * 2 ** zoom);
+const tileY = (lat, zoom) => {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+const tileUrl = (template, z, x, y) => template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+// ~1 km: menor que um bloco no zoom 13, para não pular blocos em retas longas sem vértices.
+const DENSIFY_STEP_DEG = 0.01;
+
+const densify = (line) =>
+  line.flatMap((coord, idx) => {
+    if (idx === 0) return [coord];
+    const [lonA, latA] = line[idx - 1];
+    const steps = Math.ceil(Math.max(Math.abs(coord[0] - lonA), Math.abs(coord[1] - latA)) / DENSIFY_STEP_DEG);
+    return Array.from({ length: steps }, (_, step) => {
+      const t = (step + 1) / steps;
+      return [lonA + t * (coord[0] - lonA), latA + t * (coord[1] - latA)];
+    });
+  });
+
+export const geometryBbox = (geometry) => {
+  const values = geometry.coordinates.flat(Infinity);
+  const lons = values.filter((_, idx) => idx % 2 === 0);
+  const lats = values.filter((_, idx) => idx % 2 === 1);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+};
+
+// bbox: [oeste, sul, leste, norte]. Os trechos limitam os blocos de detalhe ao entorno das rodovias.
+export const tilesForArea = (bbox, features, { template, minZoom = 4 }) => {
+  const [west, south, east, north] = bbox;
+  const urls = new Set();
+  for (let z = minZoom; z <= OVERVIEW_MAX_ZOOM; z += 1) {
+    for (let x = tileX(west, z); x <= tileX(east, z); x += 1) {
+      for (let y = tileY(north, z); y <= tileY(south, z); y += 1) urls.add(tileUrl(template, z, x, y));
+    }
+  }
+  const inside = ([lon, lat]) => lon >= west && lon <= east && lat >= south && lat <= north;
+  features.forEach((feature) => {
+    featureLines(feature.geometry).forEach((line) => {
+      densify(line).filter(inside).forEach(([lon, lat]) => {
+        for (let z = OVERVIEW_MAX_ZOOM + 1; z <= DETAIL_MAX_ZOOM; z += 1) {
+          urls.add(tileUrl(template, z, tileX(lon, z), tileY(lat, z)));
+        }
+      });
+    });
+  });
+  return [...urls];
+};
+
+export const estimateBytes = (count) => count * AVERAGE_TILE_BYTES;
+
+// Baixa para o cache do service worker, com poucas conexões ao mesmo tempo e parando quando o total
+// passa de maxBytes. Só para fontes com allowsOffline.
+export const downloadTiles = async (urls, { maxBytes, onProgress, signal }) => {
+  const cache = await caches.open(TILE_CACHE);
+  let bytes = 0;
+  let done = 0;
+  let skipped = 0;
+  let next = 0;
+  let limitReached = false;
+
+  const worker = async () => {
+    while (next < urls.length && !limitReached && !signal?.aborted) {
+      const url = urls[next];
+      next += 1;
+      if (await cache.match(url)) {
+        skipped += 1;
+      } else {
+        const response = await fetch(url, { mode: 'cors', signal }).catch(() => null);
+        if (response?.ok) {
+          const blob = await response.blob();
+          if (bytes + blob.size > maxBytes) {
+            limitReached = true;
+            break;
+          }
+          bytes += blob.size;
+          await cache.put(url, new Response(blob, { headers: response.headers }));
+        }
+      }
+      done += 1;
+      onProgress?.({ done, total: urls.length, bytes, skipped });
+    }
+  };
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+  return { done, total: urls.length, bytes, skipped, limitReached, aborted: Boolean(signal?.aborted) };
+};
+
+// Apaga os blocos baixados e os guardados durante a navegação (sw.js).
+export const clearTiles = () => Promise.all([TILE_CACHE, RUNTIME_TILE_CACHE].map((name) => caches.delete(name)));
+
+// O service worker precisa saber de que servidor vêm os blocos para guardá-los.
+export const registerServiceWorker = (source) => {
+  if (!('serviceWorker' in navigator)) return;
+  const tileHost = new URL(source.url.replace(/\{[xyz]\}/g, '0')).hostname;
+  navigator.serviceWorker
+    .register(`sw.js?tiles=${encodeURIComponent(tileHost)}`)
+    .catch((error) => console.warn('Service worker não registrado:', error));
+};
@@ -0,0 +1,162 @@
+import { featureLines, haversineKm, projectOnSegment } from './route-matching.mjs';
+
+const KM_PER_DEG_LAT = 111.32;
+// Entra a menos de 60 m da linha e só sai depois de 120 m: a folga evita alertas repetidos
+// com o ruído do GPS e com a diferença entre a pista real e a geometria do OSM.
+const ENTER_TOLERANCE_KM = 0.06;
+const EXIT_TOLERANCE_KM = 0.12;
+const SNAP_TOLERANCE_KM = 0.15;
+const LOOKAHEAD_KM = 50;
+const AHEAD_CONE_DEG = 60;
+const SAME_DIRECTION_DEG = 90;
+const MIN_HEADING_STEP_KM = 0.02;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+export const bearingDeg = ([lon1, lat1], [lon2, lat2]) => {
+  const y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+};
+
+const angleBetween = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+const featureBox = (feature) => {
+  const coords = featureLines(feature.geometry).flat();
+  if (!coords.length) return null;
+  const lons = coords.map(([lon]) => lon);
+  const lats = coords.map(([, lat]) => lat);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+};
+
+// Limite inferior da distância do ponto à caixa; serve para descartar trechos longe demais.
+const boxDistanceKm = ([lon, lat], [minLon, minLat, maxLon, maxLat]) => {
+  const dLat = Math.max(0, minLat - lat, lat - maxLat) * KM_PER_DEG_LAT;
+  const dLon = Math.max(0, minLon - lon, lon - maxLon) * KM_PER_DEG_LAT * Math.cos(toRad(lat));
+  return Math.sqrt(dLat * dLat + dLon * dLon);
+};
+
+const nearestOnFeature = (feature, position) => {
+  let best = null;
+  featureLines(feature.geometry).forEach((line) => {
+    if (line.length === 1) {
+      const distKm = haversineKm(position, line[0]);
+      if (!best || distKm < best.distKm) best = { distKm, coord: line[0] };
+      return;
+    }
+    for (let i = 0; i < line.length - 1; i += 1) {
+      const { distKm, t } = projectOnSegment(position, line[i], line[i + 1]);
+      if (best && distKm >= best.distKm) continue;
+      const [lonA, latA] = line[i];
+      const [lonB, latB] = line[i + 1];
+      best = { distKm, coord: [lonA + t * (lonB - lonA), latA + t * (latB - latA)] };
+    }
+  });
+  return best;
+};
+
+// Acompanha uma sequência de posições e diz em que trecho se está, qual é o próximo
+// à frente (no sentido do deslocamento) e quando se entra ou sai de um trecho fiscalizado.
+export const createProximityTracker = (features) => {
+  const indexed = features.map((feature) => ({ feature, box: featureBox(feature) })).filter(({ box }) => box);
+  let inside = null;
+  let lastFix = null;
+  let heading = null;
+
+  const update = (position) => {
+    if (lastFix && haversineKm(lastFix, position) >= MIN_HEADING_STEP_KM) {
+      heading = bearingDeg(lastFix, position);
+      lastFix = position;
+    } else if (!lastFix) {
+      lastFix = position;
+    }
+
+    const nearby = indexed
+      .map((entry) => ({ ...entry, boxKm: boxDistanceKm(position, entry.box) }))
+      .filter(({ boxKm }) => boxKm <= LOOKAHEAD_KM);
+
+    // Radar com sentido (bearing) não vale para quem anda na contramão dele.
+    const applies = (feature) =>
+      heading === null || feature.properties.bearing === undefined || angleBetween(heading, feature.properties.bearing) <= SAME_DIRECTION_DEG;
+
+    let closest = null;
+    nearby
+      .filter(({ feature, boxKm }) => boxKm <= SNAP_TOLERANCE_KM && applies(feature))
+      .forEach(({ feature }) => {
+        const hit = nearestOnFeature(feature, position);
+        if (hit && (!closest || hit.distKm < closest.distKm)) closest = { feature, ...hit };
+      });
+
+    const previous = inside;
+    const stillInside = previous && closest?.feature === previous && closest.distKm <= EXIT_TOLERANCE_KM;
+    if (stillInside) {
+      inside = previous;
+    } else if (closest && closest.distKm <= (previous ? EXIT_TOLERANCE_KM : ENTER_TOLERANCE_KM)) {
+      inside = closest.feature;
+    } else {
+      inside = null;
+    }
+    // Passar de um trecho para o vizinho não gera alerta: só contam entrar vindo de fora e sair para fora.
+    let event = null;
+    if (inside && !previous) event = 'enter';
+    if (!inside && previous) event = 'leave';
+
+    let next = null;
+    nearby.forEach(({ feature, boxKm }) => {
+      if (feature === inside || (next && boxKm >= next.distanceKm) || !applies(feature)) return;
+      const hit = nearestOnFeature(feature, position);
+      if (!hit || hit.distKm <= EXIT_TOLERANCE_KM) return;
+      if (heading !== null && angleBetween(heading, bearingDeg(position, hit.coord)) > AHEAD_CONE_DEG) return;
+      if (!next || hit.distKm < next.distanceKm) next = { feature, distanceKm: hit.distKm };
+    });
+
+    return {
+      position,
+      // Só "gruda" na linha de um trecho; perto de um radar fixo a posição fica como veio do GPS.
+      snapped: closest && closest.distKm <= SNAP_TOLERANCE_KM && closest.feature.geometry.type !== 'Point' ? closest.coord : position,
+      heading,
+      inside,
+      next,
+      event
+    };
+  };
+
+  return { update };
+};
+
+// Reproduz uma trilha GPX como se fosse o GPS, andando à velocidade indicada.
+export const replayTrack = (coords, { speedKmh, intervalMs = 1000, onPosition, onEnd }) => {
+  const cumulative = [0];
+  for (let i = 1; i < coords.length; i += 1) {
+    cumulative.push(cumulative[i - 1] + haversineKm(coords[i - 1], coords[i]));
+  }
+  const totalKm = cumulative[cumulative.length - 1];
+  const stepKm = (speedKmh * intervalMs) / 3600000;
+  let travelledKm = 0;
+  let segment = 0;
+
+  const tick = () => {
+    while (segment < coords.length - 2 && cumulative[segment + 1] < travelledKm) segment += 1;
+    const segmentKm = cumulative[segment + 1] - cumulative[segment];
+    const t = segmentKm ? Math.min(1, (travelledKm - cumulative[segment]) / segmentKm) : 0;
+    const [lonA, latA] = coords[segment];
+    const [lonB, latB] = coords[segment + 1];
+    onPosition([lonA + t * (lonB - lonA), latA + t * (latB - latA)]);
+    if (travelledKm >= totalKm) {
+      stop();
+      onEnd?.();
+      return;
+    }
+    travelledKm = Math.min(totalKm, travelledKm + stepKm);
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  const stop = () => clearInterval(timer);
+  tick();
+  return { stop };
+};
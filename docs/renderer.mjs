@@ -0,0 +1,168 @@
+import { featureLines } from './route-matching.mjs';
+
+const VIEW_PADDING = 0.2;
+const POINT_RADIUS = 6;
+
+const tileX = (lon, zoom) => Math.floor(((lon + 180) / 360) * 2 ** zoom);
+const tileY = (lat, zoom) => {
+  const clamped = Math.max(-85, Math.min(85, lat));
+  const rad = (clamped * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+const toLatLngs = (lines) => lines.map((line) => line.map(([lon, lat]) => [lat, lon]));
+
+const featureBoxes = new WeakMap();
+
+const featureBox = (feature) => {
+  if (!featureBoxes.has(feature)) {
+    const coords = featureLines(feature.geometry).flat();
+    const lons = coords.map(([lon]) => lon);
+    const lats = coords.map(([, lat]) => lat);
+    featureBoxes.set(feature, coords.length ? [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)] : null);
+  }
+  return featureBoxes.get(feature);
+};
+
+// Caixa envolvente de um conjunto de feições sem criar camadas do Leaflet.
+export const boundsOf = (features) => {
+  const bounds = L.latLngBounds([]);
+  features.forEach((feature) => {
+    const box = featureBox(feature);
+    if (box) bounds.extend([[box[1], box[0]], [box[3], box[2]]]);
+  });
+  return bounds;
+};
+
+export const featureCenter = (feature) => {
+  const [line = []] = featureLines(feature.geometry);
+  const [lon, lat] = line[Math.floor(line.length / 2)] ?? [0, 0];
+  return L.latLng(lat, lon);
+};
+
+// Desenha trechos ou corredores a partir dos blocos gerados pelo build (data/render/): só os blocos
+// da área visível são baixados, no nível de detalhe do zoom atual, e cada feição vira uma polilinha
+// criada uma vez e depois só mostrada ou escondida. Sem o índice, usa a geometria do GeoJSON.
+// load() aceita outra pasta de blocos: a publicada em docs/data/ tem o nome versionado pelo conteúdo.
+export const createTileRenderer = (map, { baseUrl, idOf, style, onClick }) => {
+  const group = L.layerGroup().addTo(map);
+  const tileRequests = new Map();
+  const polylines = new Map();
+  const displayed = new Map();
+  let index = null;
+  let layerName = 'trechos';
+  let visible = new Map();
+  let renderToken = 0;
+
+  const loadTile = (url) => {
+    if (!tileRequests.has(url)) {
+      tileRequests.set(
+        url,
+        fetch(url)
+          .then((response) => (response.ok ? response.json() : { features: [] }))
+          .catch(() => {
+            tileRequests.delete(url);
+            return { features: [] };
+          })
+      );
+    }
+    return tileRequests.get(url);
+  };
+
+  const currentLod = () => {
+    const zoom = map.getZoom();
+    const lod = index.lods.findIndex(({ maxZoom }) => zoom <= maxZoom);
+    return lod === -1 ? index.lods.length - 1 : lod;
+  };
+
+  const visibleTileUrls = (lod) => {
+    const bounds = map.getBounds().pad(VIEW_PADDING);
+    const available = new Set(index.layers[layerName] ?? []);
+    const urls = [];
+    for (let x = tileX(bounds.getWest(), index.tileZoom); x <= tileX(bounds.getEast(), index.tileZoom); x += 1) {
+      for (let y = tileY(bounds.getNorth(), index.tileZoom); y <= tileY(bounds.getSouth(), index.tileZoom); y += 1) {
+        if (available.has(`${x}/${y}`)) urls.push(`${baseUrl}${layerName}/${lod}/${x}/${y}.json`);
+      }
+    }
+    return urls;
+  };
+
+  const getPolyline = (key, id, lines) => {
+    if (!polylines.has(key)) {
+      // Radar fixo chega como uma linha de um vértice só e vira um círculo.
+      const isPoint = lines.length === 1 && lines[0].length === 1;
+      const polyline = isPoint
+        ? L.circleMarker(toLatLngs(lines)[0][0], { radius: POINT_RADIUS, fillOpacity: 0.9, ...style(visible.get(id)) })
+        : L.polyline(toLatLngs(lines), style(visible.get(id)));
+      polyline.on({
+        mouseover: () => {
+          const base = style(visible.get(id));
+          polyline.setStyle({ weight: base.weight + 1, opacity: 1 });
+        },
+        mouseout: () => polyline.setStyle(style(visible.get(id))),
+        click: (event) => onClick(visible.get(id), event.latlng)
+      });
+      polylines.set(key, polyline);
+    }
+    return polylines.get(key);
+  };
+
+  // Troca o conjunto desenhado pelo desejado, mexendo só no que mudou.
+  const reconcile = (wanted) => {
+    displayed.forEach((polyline, key) => {
+      if (wanted.has(key)) return;
+      group.removeLayer(polyline);
+      displayed.delete(key);
+    });
+    wanted.forEach(({ id, lines }, key) => {
+      if (displayed.has(key)) return;
+      const polyline = getPolyline(key, id, lines);
+      polyline.setStyle(style(visible.get(id)));
+      group.addLayer(polyline);
+      displayed.set(key, polyline);
+    });
+  };
+
+  const update = async () => {
+    const token = (renderToken += 1);
+    if (!index) {
+      const wanted = new Map();
+      visible.forEach((feature, id) => {
+        wanted.set(`${layerName}|full|${id}`, { id, lines: featureLines(feature.geometry) });
+      });
+      reconcile(wanted);
+      return;
+    }
+    const lod = currentLod();
+    const tiles = await Promise.all(visibleTileUrls(lod).map(loadTile));
+    if (token !== renderToken) return;
+    const wanted = new Map();
+    tiles.forEach(({ features }) => {
+      features.forEach(([id, lines]) => {
+        if (visible.has(id)) wanted.set(`${layerName}|${lod}|${id}`, { id, lines });
+      });
+    });
+    reconcile(wanted);
+  };
+
+  map.on('moveend', update);
+
+  return {
+    load: async (url = baseUrl) => {
+      baseUrl = url;
+      index = await fetch(`${baseUrl}index.json`)
+        .then((response) => (response.ok ? response.json() : null))
+        .catch(() => null);
+    },
+    // Chamado a cada mudança de filtro: atualiza estilos do que continua na tela e busca o que falta.
+    show: (name, features) => {
+      layerName = name;
+      visible = new Map(features.map((feature) => [idOf(feature.properties), feature]));
+      displayed.forEach((polyline, key) => {
+        const id = key.slice(key.lastIndexOf('|') + 1);
+        if (visible.has(id)) polyline.setStyle(style(visible.get(id)));
+      });
+      update();
+    }
+  };
+};
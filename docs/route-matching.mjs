@@ -0,0 +1,189 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEG_LAT = 111.32;
+const GRID_CELL_DEG = 0.05;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export const haversineKm = ([lon1, lat1], [lon2, lat2]) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Um radar fixo (Point) vira uma linha de um vértice só, para caber nas mesmas rotinas dos trechos.
+export const featureLines = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Point') return [[geometry.coordinates]];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(featureLines);
+  return [];
+};
+
+const parseGpx = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('GPX inválido.');
+  const points = Array.from(doc.querySelectorAll('trkpt, rtept'));
+  return points
+    .map((pt) => [Number.parseFloat(pt.getAttribute('lon')), Number.parseFloat(pt.getAttribute('lat'))])
+    .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
+};
+
+const parseGeojsonTrack = (text) => {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  return features.flatMap((feature) => featureLines(feature.geometry ?? feature)).flat();
+};
+
+// Aceita trilhas GPX (trk/rte) e GeoJSON com LineString ou MultiLineString, na ordem do arquivo.
+export const parseTrack = (text, fileName = '') => {
+  const coords = /\.gpx$/i.test(fileName) || text.trimStart().startsWith('<') ? parseGpx(text) : parseGeojsonTrack(text);
+  if (coords.length < 2) throw new Error('A rota precisa ter pelo menos dois pontos.');
+  return coords;
+};
+
+
+const cellKey = (x, y) => `${x}:${y}`;
+
+const buildSegmentIndex = (coords, toleranceKm) => {
+  const cumulative = [0];
+  for (let i = 1; i < coords.length; i += 1) {
+    cumulative.push(cumulative[i - 1] + haversineKm(coords[i - 1], coords[i]));
+  }
+  const padDeg = toleranceKm / KM_PER_DEG_LAT;
+  const grid = new Map();
+  for (let i = 0; i < coords.length - 1; i += 1) {
+    const [lonA, latA] = coords[i];
+    const [lonB, latB] = coords[i + 1];
+    const padLon = padDeg / Math.max(0.2, Math.cos(toRad((latA + latB) / 2)));
+    const minX = Math.floor((Math.min(lonA, lonB) - padLon) / GRID_CELL_DEG);
+    const maxX = Math.floor((Math.max(lonA, lonB) + padLon) / GRID_CELL_DEG);
+    const minY = Math.floor((Math.min(latA, latB) - padDeg) / GRID_CELL_DEG);
+    const maxY = Math.floor((Math.max(latA, latB) + padDeg) / GRID_CELL_DEG);
+    for (let x = minX; x <= maxX; x += 1) {
+      for (let y = minY; y <= maxY; y += 1) {
+        const key = cellKey(x, y);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(i);
+      }
+    }
+  }
+  return { coords, cumulative, grid, totalKm: cumulative[cumulative.length - 1] };
+};
+
+// Projeção plana local: suficiente para distâncias de centenas de metros.
+export const projectOnSegment = (point, a, b) => {
+  const scaleX = KM_PER_DEG_LAT * Math.cos(toRad(point[1]));
+  const ax = (a[0] - point[0]) * scaleX;
+  const ay = (a[1] - point[1]) * KM_PER_DEG_LAT;
+  const bx = (b[0] - point[0]) * scaleX;
+  const by = (b[1] - point[1]) * KM_PER_DEG_LAT;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lenSq = dx * dx + dy * dy;
+  const t = lenSq ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lenSq)) : 0;
+  const px = ax + t * dx;
+  const py = ay + t * dy;
+  return { distKm: Math.sqrt(px * px + py * py), t };
+};
+
+// Um ponto marcado no mapa pode ficar perto da trilha em mais de uma passagem (ida e volta, laço). Cada
+// passagem é uma sequência de segmentos a até TRIM_PASS_TOLERANCE_KM da menor distância, representada pela
+// projeção mais próxima dentro dela; as passagens vêm na ordem da trilha.
+const TRIM_PASS_TOLERANCE_KM = 0.5;
+
+const trackPasses = (coords, target) => {
+  const projections = coords.slice(1).map((coord, i) => ({ ...projectOnSegment(target, coords[i], coord), i }));
+  const limitKm = Math.min(...projections.map(({ distKm }) => distKm)) + TRIM_PASS_TOLERANCE_KM;
+  const passes = [];
+  projections
+    .filter(({ distKm }) => distKm <= limitKm)
+    .forEach((projection) => {
+      const last = passes[passes.length - 1];
+      if (last && last.lastIdx === projection.i - 1) {
+        last.lastIdx = projection.i;
+        if (projection.distKm < last.best.distKm) last.best = projection;
+      } else {
+        passes.push({ lastIdx: projection.i, best: projection });
+      }
+    });
+  return passes.map(({ best: { i, t } }) => ({ i, t }));
+};
+
+const trackPosition = ({ i, t }) => i + t;
+
+const pointAt = (coords, { i, t }) => coords[i].map((value, k) => value + (coords[i + 1][k] - value) * t);
+
+const sliceTrack = (coords, from, to) => {
+  const sliced = [pointAt(coords, from), ...coords.slice(from.i + 1, to.i + 1), pointAt(coords, to)];
+  // Sem repetir o vértice quando a projeção cai bem em cima dele.
+  return sliced.filter((coord, idx) => !idx || coord.some((value, k) => value !== sliced[idx - 1][k]));
+};
+
+// Corta a trilha na projeção da origem (primeira passagem) e do destino (primeira passagem depois da origem).
+// Sem passagem do destino depois da origem, a trilha foi gravada no sentido contrário: corta e inverte.
+export const trimTrack = (coords, origin, destination) => {
+  if ((!origin && !destination) || coords.length < 2) return coords;
+  const start = origin ? trackPasses(coords, origin)[0] : { i: 0, t: 0 };
+  let end = { i: coords.length - 2, t: 1 };
+  if (destination) {
+    const passes = trackPasses(coords, destination);
+    end = passes.find((pass) => trackPosition(pass) >= trackPosition(start)) ?? passes[passes.length - 1];
+  }
+  const trimmed =
+    trackPosition(start) <= trackPosition(end)
+      ? sliceTrack(coords, start, end)
+      : sliceTrack(coords, end, start).reverse();
+  return trimmed.length >= 2 ? trimmed : coords;
+};
+
+const nearestOnRoute = (index, point, toleranceKm) => {
+  const key = cellKey(Math.floor(point[0] / GRID_CELL_DEG), Math.floor(point[1] / GRID_CELL_DEG));
+  const candidates = index.grid.get(key);
+  if (!candidates) return null;
+  let best = null;
+  candidates.forEach((i) => {
+    const { distKm, t } = projectOnSegment(point, index.coords[i], index.coords[i + 1]);
+    if (distKm > toleranceKm || (best && distKm >= best.distKm)) return;
+    const segmentKm = index.cumulative[i + 1] - index.cumulative[i];
+    best = { distKm, alongKm: index.cumulative[i] + t * segmentKm };
+  });
+  return best;
+};
+
+// Cruza a rota com os trechos e devolve os fiscalizados na ordem em que são percorridos.
+// Um trecho conta quando a parte dele que corre junto da rota (a menos de toleranceKm)
+// soma pelo menos metade da sua extensão ou minOverlapKm; cruzamentos em viaduto não entram.
+export const matchRoute = (routeCoords, features, { toleranceKm = 0.25, minOverlapKm = 1 } = {}) => {
+  const index = buildSegmentIndex(routeCoords, toleranceKm);
+  const matches = [];
+  features.forEach((feature) => {
+    let overlapKm = 0;
+    let lineKm = 0;
+    let entryKm = Infinity;
+    let exitKm = -Infinity;
+    featureLines(feature.geometry).forEach((line) => {
+      let previous = null;
+      line.forEach((coord, idx) => {
+        const hit = nearestOnRoute(index, coord, toleranceKm);
+        if (idx > 0) {
+          const stepKm = haversineKm(line[idx - 1], coord);
+          lineKm += stepKm;
+          if (hit && previous) overlapKm += stepKm;
+        }
+        if (hit) {
+          entryKm = Math.min(entryKm, hit.alongKm);
+          exitKm = Math.max(exitKm, hit.alongKm);
+        }
+        previous = hit;
+      });
+    });
+    // Radar fixo entra quando o ponto fica junto da rota.
+    if (feature.geometry.type === 'Point' ? entryKm === Infinity : !overlapKm || overlapKm < Math.min(minOverlapKm, lineKm * 0.5)) return;
+    matches.push({ feature, entryKm, exitKm, overlapKm });
+  });
+  return {
+    totalKm: index.totalKm,
+    matches: matches.sort((a, b) => a.entryKm - b.entryKm),
+  };
+};
@@ -0,0 +1,191 @@
+import { featureLines, haversineKm } from './route-matching.mjs';
+
+const UF_CODES = new Set([
+  'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+  'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+]);
+const DEFAULT_RADIUS_KM = 20;
+const KM_PER_DEG_LAT = 111.32;
+
+// Termos com chave: br:116, uf:MG, km:100-250, raio:30, cidade:Juiz de Fora (até a próxima chave ou vírgula).
+const KEY_TERM = /\b(br|uf|km|raio|cidade):\s*("[^"]*"|[^,]*?)(?=\s+(?:br|uf|km|raio|cidade):|,|$)/gi;
+const ROAD_TERM = /\bbr\s*-?\s*(\d{1,3})\b/gi;
+const KM_TERM = /\bkm\s*(\d+(?:[.,]\d+)?)(?:\s*(?:-|–|até|ate|ao|a)\s*(?:km\s*)?(\d+(?:[.,]\d+)?))?/gi;
+const BARE_NUMBER = /(?:^|[\s,])(\d+(?:[.,]\d+)?)(?=[\s,]|$)/g;
+const CITY_WITH_UF = /^(.*?)\s*(?:\/|-|,|\s)\s*([a-z]{2})$/i;
+
+export const normalizeText = (value) =>
+  String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const parseNumber = (value) => Number.parseFloat(value.replace(',', '.'));
+
+const toRoad = (value) => `BR-${value.replace(/\D/g, '').padStart(3, '0')}`;
+
+const parseKmRange = (value) => {
+  const match = /^(\d+(?:[.,]\d+)?)(?:\s*(?:-|–|até|ate|ao|a)\s*(\d+(?:[.,]\d+)?))?$/i.exec(value.trim());
+  if (!match) return null;
+  const from = parseNumber(match[1]);
+  const to = match[2] ? parseNumber(match[2]) : from;
+  return { min: Math.min(from, to), max: Math.max(from, to) };
+};
+
+// O gazetteer vem de data/municipios.json: [[nome, uf, lat, lon], ...].
+export const indexGazetteer = (data) => {
+  const byName = new Map();
+  (data?.municipios ?? []).forEach(([name, uf, lat, lon]) => {
+    const key = normalizeText(name);
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push({ name, uf, lat, lon });
+  });
+  return byName;
+};
+
+// Aceita "Fortaleza", "Fortaleza/CE", "Fortaleza - CE" e "Fortaleza CE"; nomes repetidos em
+// várias UFs (ex.: "Bom Jesus") trazem todos os municípios com esse nome.
+const findPlaces = (text, gazetteer) => {
+  const key = normalizeText(text);
+  if (!key || !gazetteer) return [];
+  const withUf = CITY_WITH_UF.exec(key);
+  if (withUf && UF_CODES.has(withUf[2].toUpperCase())) {
+    const uf = withUf[2].toUpperCase();
+    const places = (gazetteer.get(withUf[1]) ?? []).filter((place) => place.uf === uf);
+    if (places.length) return places;
+  }
+  return gazetteer.get(key) ?? [];
+};
+
+export const parseQuery = (text, gazetteer) => {
+  const query = { roads: [], ufs: [], kmRanges: [], places: [], radiusKm: DEFAULT_RADIUS_KM, unresolved: [], text: '' };
+  let rest = String(text ?? '');
+  const cityTerms = [];
+
+  rest = rest.replace(KEY_TERM, (_, key, rawValue) => {
+    const value = rawValue.replace(/^"|"$/g, '').trim();
+    switch (key.toLowerCase()) {
+      case 'br':
+        if (/\d/.test(value)) query.roads.push(toRoad(value));
+        else query.unresolved.push(`br:${value}`);
+        break;
+      case 'uf':
+        if (UF_CODES.has(value.toUpperCase())) query.ufs.push(value.toUpperCase());
+        else query.unresolved.push(`uf:${value}`);
+        break;
+      case 'km': {
+        const range = parseKmRange(value);
+        if (range) query.kmRanges.push(range);
+        else query.unresolved.push(`km:${value}`);
+        break;
+      }
+      case 'raio': {
+        const radius = parseNumber(value);
+        if (radius > 0) query.radiusKm = radius;
+        break;
+      }
+      default:
+        if (value) cityTerms.push(value);
+    }
+    return ' ';
+  });
+  rest = rest.replace(ROAD_TERM, (_, digits) => {
+    query.roads.push(toRoad(digits));
+    return ' ';
+  });
+  rest = rest.replace(KM_TERM, (_, from, to) => {
+    query.kmRanges.push(parseKmRange(to ? `${from}-${to}` : from));
+    return ' ';
+  });
+  rest = rest.replace(BARE_NUMBER, (_, value) => {
+    query.kmRanges.push(parseKmRange(value));
+    return ' ';
+  });
+
+  // O que sobrou é nome de município (vírgula separa vários); uma sigla sozinha vale como UF.
+  rest
+    .split(',')
+    .map((term) => term.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .forEach((term) => cityTerms.push(term));
+  cityTerms.forEach((term) => {
+    const places = findPlaces(term, gazetteer);
+    if (places.length) {
+      query.places.push(...places);
+    } else if (UF_CODES.has(term.toUpperCase())) {
+      query.ufs.push(term.toUpperCase());
+    } else {
+      query.unresolved.push(term);
+    }
+  });
+  query.text = normalizeText(query.unresolved.join(' '));
+  return query;
+};
+
+export const isEmptyQuery = (query) =>
+  !query.roads.length && !query.ufs.length && !query.kmRanges.length && !query.places.length && !query.text;
+
+const featureBoxes = new WeakMap();
+
+const featureBox = (feature) => {
+  if (!featureBoxes.has(feature)) {
+    const coords = featureLines(feature.geometry).flat();
+    const lons = coords.map(([lon]) => lon);
+    const lats = coords.map(([, lat]) => lat);
+    featureBoxes.set(feature, coords.length ? [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)] : null);
+  }
+  return featureBoxes.get(feature);
+};
+
+// Descarta pela caixa envolvente antes de medir vértice a vértice.
+const isNearPlace = (feature, place, radiusKm) => {
+  const box = featureBox(feature);
+  if (!box) return false;
+  const padLat = radiusKm / KM_PER_DEG_LAT;
+  const padLon = padLat / Math.max(0.2, Math.cos((place.lat * Math.PI) / 180));
+  if (place.lon < box[0] - padLon || place.lon > box[2] + padLon) return false;
+  if (place.lat < box[1] - padLat || place.lat > box[3] + padLat) return false;
+  const center = [place.lon, place.lat];
+  return featureLines(feature.geometry).some((line) => line.some((coord) => haversineKm(coord, center) <= radiusKm));
+};
+
+const coversKm = (props, range) =>
+  Math.min(props.kmStart, props.kmEnd) <= range.max && Math.max(props.kmStart, props.kmEnd) >= range.min;
+
+// Termos do mesmo tipo se somam (br:116 br:040 traz as duas); tipos diferentes se restringem.
+export const matchesQuery = (feature, query) => {
+  const props = feature.properties;
+  if (query.roads.length && !query.roads.includes(props.road)) return false;
+  if (query.ufs.length && !query.ufs.includes(props.uf)) return false;
+  if (query.kmRanges.length && !query.kmRanges.some((range) => coversKm(props, range))) return false;
+  if (query.places.length && !query.places.some((place) => isNearPlace(feature, place, query.radiusKm))) return false;
+  if (query.text) {
+    const haystack = normalizeText(`${props.road} ${props.uf} km${props.kmStart}-${props.kmEnd} ${props.notes ?? ''}`);
+    if (!haystack.includes(query.text)) return false;
+  }
+  return true;
+};
+
+const formatKmValue = (value) => value.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+
+export const describeQuery = (query) => {
+  const parts = [];
+  if (query.roads.length) parts.push(query.roads.join(' ou '));
+  if (query.ufs.length) parts.push(query.ufs.join(' ou '));
+  if (query.kmRanges.length) {
+    parts.push(
+      query.kmRanges
+        .map(({ min, max }) => (min === max ? `km ${formatKmValue(min)}` : `km ${formatKmValue(min)}–${formatKmValue(max)}`))
+        .join(' ou ')
+    );
+  }
+  if (query.places.length) {
+    const names = query.places.slice(0, 3).map((place) => `${place.name}/${place.uf}`);
+    if (query.places.length > 3) names.push(`mais ${query.places.length - 3}`);
+    parts.push(`até ${formatKmValue(query.radiusKm)} km de ${names.join(', ')}`);
+  }
+  if (query.text) parts.push(`texto "${query.text}"`);
+  return parts.join(' · ');
+};
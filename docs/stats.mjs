@@ -0,0 +1,219 @@
+const CHOROPLETH_COLORS = ['#1e293b', '#164e63', '#0e7490', '#06b6d4', '#67e8f9'];
+const HISTOGRAM_BINS = [0, 1, 2, 5, 10, 15, 20, 50, 100];
+
+const formatNumber = (num) => new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 0 }).format(num);
+const formatKm = (num) => new Intl.NumberFormat('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(num);
+const formatShare = (value) => (value === null ? '—' : `${formatKm(value * 100)}%`);
+
+const METRICS = {
+  km: { label: 'Km fiscalizados', value: (row) => row.km, format: (value) => `${formatNumber(value)} km` },
+  share: { label: '% da extensão no OSM', value: (row) => row.share, format: formatShare }
+};
+
+const TEXT_COLUMNS = ['uf', 'road'];
+
+const share = (km, totalKm) => (totalKm ? Math.min(1, km / totalKm) : null);
+
+// Agrega km e contagem por chave; a extensão de referência vem do network-stats.json do build.
+const aggregate = (features, keyOf, referenceKm) => {
+  const rows = new Map();
+  features.forEach((feature) => {
+    const key = keyOf(feature.properties);
+    if (!rows.has(key)) rows.set(key, { key, trechos: 0, km: 0, ufs: new Set() });
+    const row = rows.get(key);
+    row.trechos += 1;
+    row.km += feature.properties.lengthKm ?? 0;
+    row.ufs.add(feature.properties.uf);
+  });
+  return [...rows.values()].map((row) => ({
+    ...row,
+    ufs: row.ufs.size,
+    osmKm: referenceKm[row.key] ?? null,
+    share: share(row.km, referenceKm[row.key])
+  }));
+};
+
+const colorFor = (value, max) => {
+  if (value === null || value === undefined || !max) return CHOROPLETH_COLORS[0];
+  const idx = Math.min(CHOROPLETH_COLORS.length - 1, Math.floor((value / max) * CHOROPLETH_COLORS.length));
+  return CHOROPLETH_COLORS[idx];
+};
+
+const buildHistogram = (features) => {
+  const counts = HISTOGRAM_BINS.map(() => 0);
+  features.forEach((feature) => {
+    const lengthKm = feature.properties.lengthKm ?? 0;
+    let idx = HISTOGRAM_BINS.length - 1;
+    while (idx > 0 && lengthKm < HISTOGRAM_BINS[idx]) idx -= 1;
+    counts[idx] += 1;
+  });
+  return HISTOGRAM_BINS.map((from, idx) => ({
+    label: idx < HISTOGRAM_BINS.length - 1 ? `${from}–${HISTOGRAM_BINS[idx + 1]}` : `${from}+`,
+    count: counts[idx]
+  }));
+};
+
+const renderHistogram = (el, features, noun) => {
+  const bins = buildHistogram(features);
+  const max = Math.max(1, ...bins.map((bin) => bin.count));
+  const barWidth = 36;
+  const height = 120;
+  const bars = bins
+    .map((bin, idx) => {
+      const barHeight = Math.round((bin.count / max) * height);
+      const x = idx * (barWidth + 8);
+      return `
+        <g>
+          <title>${bin.label} km: ${formatNumber(bin.count)} ${noun}</title>
+          <rect x="${x}" y="${height - barHeight + 16}" width="${barWidth}" height="${barHeight}" rx="3" fill="#06b6d4"></rect>
+          <text x="${x + barWidth / 2}" y="${height - barHeight + 12}" text-anchor="middle">${bin.count ? formatNumber(bin.count) : ''}</text>
+          <text x="${x + barWidth / 2}" y="${height + 32}" text-anchor="middle">${bin.label}</text>
+        </g>`;
+    })
+    .join('');
+  const width = bins.length * (barWidth + 8);
+  el.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height + 40}" role="img" aria-label="Distribuição da extensão dos ${noun} visíveis">
+      ${bars}
+    </svg>
+    <p class="stats-panel__note">Extensão em km dos ${formatNumber(features.length)} ${noun} visíveis.</p>
+  `;
+};
+
+const renderTable = (table, rows, columns, sort, { selected, onSort, onSelect }) => {
+  const sorted = [...rows].sort((a, b) => {
+    const column = columns.find((col) => col.key === sort.key);
+    const av = column.value(a);
+    const bv = column.value(b);
+    const order = typeof av === 'string' ? av.localeCompare(bv) : (av ?? -1) - (bv ?? -1);
+    return sort.desc ? -order : order;
+  });
+  const head = columns
+    .map((col) => {
+      const active = col.key === sort.key ? (sort.desc ? ' ▼' : ' ▲') : '';
+      return `<th scope="col" data-sort="${col.key}">${col.label}${active}</th>`;
+    })
+    .join('');
+  const body = sorted
+    .map(
+      (row) => `
+      <tr data-key="${row.key}"${row.key === selected ? ' class="is-selected"' : ''}>
+        ${columns.map((col) => `<td>${col.format(col.value(row))}</td>`).join('')}
+      </tr>`
+    )
+    .join('');
+  table.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+  table.querySelectorAll('th').forEach((th) => th.addEventListener('click', () => onSort(th.dataset.sort)));
+  table.querySelectorAll('tbody tr').forEach((tr) => tr.addEventListener('click', () => onSelect(tr.dataset.key)));
+};
+
+const UF_COLUMNS = [
+  { key: 'uf', label: 'UF', value: (row) => row.key, format: (value) => value },
+  { key: 'trechos', label: 'Trechos', value: (row) => row.trechos, format: formatNumber },
+  { key: 'km', label: 'Km fiscalizados', value: (row) => row.km, format: formatKm },
+  { key: 'osmKm', label: 'Km no OSM', value: (row) => row.osmKm, format: (value) => (value === null ? '—' : formatKm(value)) },
+  { key: 'share', label: '% fiscalizado', value: (row) => row.share, format: formatShare }
+];
+
+const ROAD_COLUMNS = [
+  { key: 'road', label: 'BR', value: (row) => row.key, format: (value) => value },
+  { key: 'ufs', label: 'UFs', value: (row) => row.ufs, format: formatNumber },
+  ...UF_COLUMNS.slice(1)
+];
+
+// Painel de estatísticas: coroplético das UFs, tabelas por UF e por BR e histograma de extensões.
+// Cliques no mapa ou nas tabelas viram filtros pela função recebida em onSelectUf/onSelectRoad.
+export const createStatsPanel = ({ mapEl, metricSelect, ufTable, roadTable, histogramEl, onSelectUf, onSelectRoad }) => {
+  const statsMap = L.map(mapEl, { zoomSnap: 0.25, scrollWheelZoom: false, attributionControl: false }).setView([-14.2, -51.9], 3.5);
+  let statesLayer = null;
+  let network = { byUf: {}, byRoad: {} };
+  let ufRows = [];
+  let roadRows = [];
+  let selection = { uf: '', road: '' };
+  const sorts = { uf: { key: 'km', desc: true }, road: { key: 'km', desc: true } };
+
+  Object.entries(METRICS).forEach(([value, { label }]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    metricSelect.appendChild(option);
+  });
+
+  const styleState = (feature) => {
+    const metric = METRICS[metricSelect.value];
+    const row = ufRows.find((candidate) => candidate.key === feature.properties.uf);
+    const max = Math.max(0, ...ufRows.map((candidate) => metric.value(candidate) ?? 0));
+    const selected = feature.properties.uf === selection.uf;
+    return {
+      color: selected ? '#f97316' : '#475569',
+      weight: selected ? 2.5 : 0.8,
+      fillColor: colorFor(row ? metric.value(row) : null, max),
+      fillOpacity: 0.85
+    };
+  };
+
+  const stateTooltip = (props) => {
+    const row = ufRows.find((candidate) => candidate.key === props.uf);
+    const metric = METRICS[metricSelect.value];
+    return `<strong>${props.name} (${props.uf})</strong><br />${metric.label}: ${row ? metric.format(metric.value(row)) : '—'}`;
+  };
+
+  const renderTables = () => {
+    renderTable(ufTable, ufRows, UF_COLUMNS, sorts.uf, {
+      selected: selection.uf,
+      onSort: (key) => {
+        sorts.uf = { key, desc: sorts.uf.key === key ? !sorts.uf.desc : !TEXT_COLUMNS.includes(key) };
+        renderTables();
+      },
+      onSelect: onSelectUf
+    });
+    renderTable(roadTable, roadRows, ROAD_COLUMNS, sorts.road, {
+      selected: selection.road,
+      onSort: (key) => {
+        sorts.road = { key, desc: sorts.road.key === key ? !sorts.road.desc : !TEXT_COLUMNS.includes(key) };
+        renderTables();
+      },
+      onSelect: onSelectRoad
+    });
+  };
+
+  const restyle = () => {
+    if (!statesLayer) return;
+    statesLayer.setStyle(styleState);
+    statesLayer.eachLayer((layer) => layer.setTooltipContent(stateTooltip(layer.feature.properties)));
+  };
+
+  metricSelect.addEventListener('input', restyle);
+
+  return {
+    setReference: (states, networkStats) => {
+      network = networkStats ?? network;
+      if (!states) {
+        mapEl.hidden = true;
+        return;
+      }
+      statesLayer = L.geoJSON(states, {
+        style: styleState,
+        onEachFeature: (feature, layer) => {
+          layer.bindTooltip(stateTooltip(feature.properties), { sticky: true });
+          layer.on('click', () => onSelectUf(feature.properties.uf));
+        }
+      }).addTo(statsMap);
+      statsMap.fitBounds(statesLayer.getBounds(), { padding: [8, 8] });
+    },
+    // features: trechos da release em vigor (base das tabelas e do mapa); visible: o que está no mapa principal.
+    update: (features, visible, { uf, road, noun }) => {
+      selection = { uf, road };
+      ufRows = aggregate(features, (props) => props.uf, network.byUf);
+      roadRows = aggregate(features, (props) => props.road, network.byRoad);
+      renderTables();
+      restyle();
+      renderHistogram(histogramEl, visible, noun);
+    },
+    // O mapa nasce dentro de um <details> fechado: ao abrir, recalcula o tamanho e reenquadra.
+    invalidateSize: () => {
+      statsMap.invalidateSize();
+      if (statesLayer) statsMap.fitBounds(statesLayer.getBounds(), { padding: [8, 8] });
+    }
+  };
+};
@@ -0,0 +1,147 @@
+// Service worker: casca do app em cache (stale-while-revalidate), dados com rede primeiro e
+// cópia salva como reserva, e blocos do mapa com cache primeiro.
+// Troque SHELL_VERSION a cada publicação que mude HTML, CSS ou JS.
+const SHELL_VERSION = 'v9';
+const SHELL_CACHE = `radar-shell-${SHELL_VERSION}`;
+const DATA_CACHE = 'radar-data';
+const TILE_CACHE = 'radar-tiles';
+const RUNTIME_TILE_CACHE = 'radar-tiles-runtime';
+const MAX_RUNTIME_TILES = 1500;
+const DATA_TIMEOUT_MS = 5000;
+// Servidor dos blocos do mapa de fundo, passado pela página no registro (sw.js?tiles=...).
+const TILE_HOST = new URL(self.location.href).searchParams.get('tiles') || 'tile.openstreetmap.org';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'main.mjs',
+  'route-matching.mjs',
+  'export.mjs',
+  'search.mjs',
+  'stats.mjs',
+  'proximity.mjs',
+  'offline.mjs',
+  'renderer.mjs',
+  'comparison.mjs',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/topojson-client@3.1.0/dist/topojson-client.min.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key.startsWith('radar-shell-') && key !== SHELL_CACHE).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// A resposta salva ganha o cabeçalho X-Radar-Cached-At para a página saber que está offline e desde quando.
+const stampResponse = async (response) => {
+  const headers = new Headers(response.headers);
+  headers.set('X-Radar-Cached-At', new Date().toISOString());
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+};
+
+// Nomes versionados pelo conteúdo (scripts/publish-site.mjs): trechos.1a2b3c4d5e.geojson, render-1a2b3c4d5e/...
+const HASHED_DATA_PATTERN = /\/data\/([\w-]+[.-][0-9a-f]{10}(?:\.\w+)?)(?:\/|$)/;
+const referencedNames = (latest) =>
+  latest ? [latest.metadata, ...Object.values(latest.files ?? {})].filter(Boolean).map((name) => name.replace(/\/$/, '')) : [];
+
+// Cada publicação traz nomes novos; ao chegar um latest.json, sai do cache o que nem ele nem o anterior
+// usam. O anterior fica até a página terminar de baixar os arquivos do novo.
+const pruneDataCache = async (cache, previousLatest, latest) => {
+  if (!latest) return;
+  const keep = new Set([...referencedNames(previousLatest), ...referencedNames(latest)]);
+  const stale = (await cache.keys()).filter((request) => {
+    const match = HASHED_DATA_PATTERN.exec(new URL(request.url).pathname);
+    return match && !keep.has(match[1]);
+  });
+  await Promise.all(stale.map((request) => cache.delete(request)));
+};
+
+const withTimeout = (promise, ms) =>
+  Promise.race([promise, new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), ms))]);
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await withTimeout(fetch(request), DATA_TIMEOUT_MS);
+    if (response.ok) {
+      const isLatest = new URL(request.url).pathname.endsWith('/data/latest.json');
+      const previousLatest = isLatest ? await cache.match(request).then((cached) => cached?.json()).catch(() => null) : null;
+      await cache.put(request, await stampResponse(response.clone()));
+      if (isLatest) await pruneDataCache(cache, previousLatest, await response.clone().json().catch(() => null));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) {
+      const headers = new Headers(cached.headers);
+      headers.set('X-Radar-Offline', '1');
+      return new Response(await cached.blob(), { status: cached.status, headers });
+    }
+    throw error;
+  }
+};
+
+// Navegações com filtros na query string (?uf=MG&br=116) usam a mesma cópia de index.html.
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = request.mode === 'navigate' ? 'index.html' : request;
+  const cached = await cache.match(key);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(key, response.clone());
+      return response;
+    })
+    .catch(() => cached ?? Response.error());
+  return cached ?? refresh;
+};
+
+const trimRuntimeTiles = async (cache) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_RUNTIME_TILES)).map((key) => cache.delete(key)));
+};
+
+// Blocos baixados de propósito ficam em TILE_CACHE; os vistos durante a navegação vão para um cache
+// limitado, para não encher o aparelho.
+const cacheFirstTile = async (request) => {
+  const cached = (await caches.match(request, { cacheName: TILE_CACHE })) ?? (await caches.match(request, { cacheName: RUNTIME_TILE_CACHE }));
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME_TILE_CACHE);
+    await cache.put(request, response.clone());
+    trimRuntimeTiles(cache);
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.hostname === TILE_HOST) {
+    event.respondWith(cacheFirstTile(request));
+  } else if (url.origin === self.location.origin && url.pathname.includes('/data/')) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin || url.hostname === 'unpkg.com') {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, '..');
+const STATES_PATH = path.join(ROOT_DIR, 'data', 'br_states.geojson');
+const OUTPUT_PATH = path.join(ROOT_DIR, 'docs', 'data', 'municipios.json');
+const CITIES_DIR = path.dirname(require.resolve('cities.json'));
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+const normalizeName = (value) =>
+  value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+// No GeoNames, o admin2 dos lugares brasileiros é o código IBGE do município (7 dígitos);
+// os dois primeiros dígitos identificam a UF.
+const states = await readJson(STATES_PATH);
+const ufByIbgeCode = new Map(states.features.map((feature) => [feature.properties.codigo_ibg, feature.properties.sigla]));
+const cities = (await readJson(path.join(CITIES_DIR, 'cities.json'))).filter((city) => city.country === 'BR');
+const municipalityNames = new Map(
+  (await readJson(path.join(CITIES_DIR, 'admin2.json')))
+    .filter((entry) => entry.code.startsWith('BR.'))
+    .map((entry) => [entry.code.split('.')[2], entry.name])
+);
+
+// Um município pode ter vários lugares (sede e distritos): fica a sede, cujo nome é o do município.
+const seats = new Map();
+cities.forEach((city) => {
+  const name = municipalityNames.get(city.admin2);
+  const uf = ufByIbgeCode.get(city.admin2?.slice(0, 2));
+  if (!name || !uf) return;
+  const isSeat = normalizeName(city.name) === normalizeName(name);
+  if (seats.has(city.admin2) && !isSeat) return;
+  seats.set(city.admin2, [name, uf, Number(Number(city.lat).toFixed(4)), Number(Number(city.lng).toFixed(4))]);
+});
+
+const entries = [...seats.values()].sort((a, b) => a[0].localeCompare(b[0], 'pt-BR') || a[1].localeCompare(b[1]));
+await fs.mkdir(path.dirname(OUTPUT_PATH), { recursive: true });
+await fs.writeFile(
+  OUTPUT_PATH,
+  JSON.stringify({
+    source: 'GeoNames (cities.json), CC BY 4.0',
+    fields: ['nome', 'uf', 'lat', 'lon'],
+    municipios: entries,
+  })
+);
+console.log(`Gazetteer com ${entries.length} municípios gerado em ${OUTPUT_PATH}`);
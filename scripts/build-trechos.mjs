@@ -1,309 +1,184 @@
 #!/usr/bin/env node
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { createHash } from 'node:crypto';
 import { fileURLToPath } from 'node:url';
-import { parse } from 'csv-parse/sync';
-import { lineString, point } from '@turf/helpers';
+import { parseArgs } from 'node:util';
+import { createRoadProvider } from './road-providers.mjs';
+import { normalizeRoad, readReleaseFile } from './ingest.mjs';
+import { RELEASE_FILE_PATTERN, diffReleases, mergeReleases, segmentKey } from './release-diff.mjs';
+import { buildCorridors } from './corridors.mjs';
+import { buildRenderTiles } from './render-tiles.mjs';
+import { assertUniqueIds, buildOutputIndex, buildTopology, compactFeatures } from './output-format.mjs';
+import { assembleRoadGeometry } from './road-geometry.mjs';
+import { parseMilestoneKm } from './km-calibration.mjs';
+import { MIN_STATE_RUN_KM, assignTrechoIds, buildStatePiece, clipLineToState, sliceSegment } from './linear-referencing.mjs';
+import { lineString } from '@turf/helpers';
 import length from '@turf/length';
-import lineSliceAlong from '@turf/line-slice-along';
-import along from '@turf/along';
-import distance from '@turf/distance';
+import bbox from '@turf/bbox';
+import simplify from '@turf/simplify';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(__dirname, '..');
 const DATA_DIR = path.join(ROOT_DIR, 'data');
-const ROAD_CACHE_DIR = path.join(DATA_DIR, 'roads');
+const DEFAULT_ROAD_CACHE_DIR = path.join(DATA_DIR, 'roads');
 const OUTPUT_DIR = path.join(ROOT_DIR, 'public', 'data');
-const CSV_PATH = path.join(DATA_DIR, 'radar_trechos.csv');
+const DEFAULT_RELEASES_DIR = path.join(DATA_DIR, 'releases');
+const STATES_PATH = path.join(DATA_DIR, 'br_states.geojson');
+const DEFAULT_THRESHOLDS_PATH = path.join(__dirname, 'quality-thresholds.json');
 const MIN_DOWNLOAD_DELAY_MS = 6000;
 const ROAD_CACHE_VERSION = 4;
-const OVERPASS_ENDPOINTS = [
-  'https://overpass-api.de/api/interpreter',
-  'https://overpass.kumi.systems/api/interpreter',
-];
-console.log(`Usando versão de cache ${ROAD_CACHE_VERSION}`);
+const { values: cliOptions } = parseArgs({
+  options: {
+    thresholds: { type: 'string', default: DEFAULT_THRESHOLDS_PATH },
+    source: { type: 'string', default: 'overpass' },
+    'source-path': { type: 'string' },
+    'record-fixtures': { type: 'string' },
+    'cache-dir': { type: 'string', default: DEFAULT_ROAD_CACHE_DIR },
+    road: { type: 'string', multiple: true },
+    uf: { type: 'string', multiple: true },
+    'refresh-stale': { type: 'string' },
+    force: { type: 'boolean', default: false },
+    'releases-dir': { type: 'string', default: DEFAULT_RELEASES_DIR },
+    topojson: { type: 'boolean', default: false },
+  },
+});
+const thresholdsPath = path.resolve(cliOptions.thresholds);
+const ROAD_CACHE_DIR = path.resolve(cliOptions['cache-dir']);
+const roadProvider = createRoadProvider(cliOptions.source, {
+  sourcePath: cliOptions['source-path'] && path.resolve(cliOptions['source-path']),
+  recordDir: cliOptions['record-fixtures'] && path.resolve(cliOptions['record-fixtures']),
+});
+const OUTPUT_PATH = path.join(OUTPUT_DIR, 'trechos.geojson');
+const CORRIDORS_PATH = path.join(OUTPUT_DIR, 'corridors.geojson');
+const STATES_OUTPUT_PATH = path.join(OUTPUT_DIR, 'states.geojson');
+const NETWORK_STATS_PATH = path.join(OUTPUT_DIR, 'network-stats.json');
+const NETWORK_PATH = path.join(OUTPUT_DIR, 'network.geojson');
+const TOPOJSON_PATH = path.join(OUTPUT_DIR, 'trechos.topojson');
+const INDEX_PATH = path.join(OUTPUT_DIR, 'index.json');
+const RENDER_DIR = path.join(OUTPUT_DIR, 'render');
+const REPORT_PATH = path.join(OUTPUT_DIR, 'quality-report.json');
+const MANIFEST_PATH = path.join(OUTPUT_DIR, 'build-manifest.json');
+const RELEASES_PATH = path.join(OUTPUT_DIR, 'releases.json');
+const REJECTED_PATH = path.join(OUTPUT_DIR, 'rejected-rows.json');
+const RELEASES_DIR = path.resolve(cliOptions['releases-dir']);
+console.log(`Usando versão de cache ${ROAD_CACHE_VERSION} e fonte de geometria "${roadProvider.name}"`);
 
 await fs.mkdir(ROAD_CACHE_DIR, { recursive: true });
 await fs.mkdir(OUTPUT_DIR, { recursive: true });
 
-const csvRaw = await fs.readFile(CSV_PATH, 'utf8');
-const parsed = parse(csvRaw, { skip_empty_lines: true });
-const headerIndex = parsed.findIndex((row) => row[0]?.includes('ESTADO'));
-if (headerIndex === -1) {
-  throw new Error('Cabeçalho da planilha não encontrado.');
+const releaseFiles = (await fs.readdir(RELEASES_DIR))
+  .filter((fileName) => RELEASE_FILE_PATTERN.test(fileName))
+  .sort();
+if (!releaseFiles.length) {
+  throw new Error(`Nenhuma planilha datada (AAAA-MM.csv ou AAAA-MM.xlsx) encontrada em ${RELEASES_DIR}.`);
 }
+const releases = [];
+const rejectedRows = [];
+const rowsByRelease = new Map();
+for (const fileName of releaseFiles) {
+  const id = RELEASE_FILE_PATTERN.exec(fileName)[1];
+  const { segments: rows, rejected } = await readReleaseFile(path.join(RELEASES_DIR, fileName));
+  rejected.forEach((row) => rejectedRows.push({ release: id, file: fileName, ...row }));
+  if (rejected.length) {
+    console.warn(`${fileName}: ${rejected.length} linhas rejeitadas (detalhes em ${path.basename(REJECTED_PATH)})`);
+  }
+  // Listas da mesma data (2025-11.csv com os radares portáteis, 2025-11.fixos.csv com os fixos) formam uma release só.
+  if (!rowsByRelease.has(id)) rowsByRelease.set(id, []);
+  rowsByRelease.get(id).push(...rows);
+}
+[...rowsByRelease.keys()].sort().forEach((id) => {
+  const rows = rowsByRelease.get(id);
+  const releaseSegments = [...new Map(rows.map((seg) => [segmentKey(seg), seg])).values()];
+  releases.push({ id, segments: releaseSegments });
+  const duplicates = rows.length - releaseSegments.length;
+  const points = releaseSegments.filter((seg) => seg.kind === 'point').length;
+  console.log(
+    `Release ${id}: ${releaseSegments.length - points} trechos${points ? ` e ${points} radares fixos` : ''}` +
+      `${duplicates ? ` (${duplicates} linhas repetidas ignoradas)` : ''}`
+  );
+});
+await fs.writeFile(REJECTED_PATH, JSON.stringify(rejectedRows, null, 2));
+const latestRelease = releases[releases.length - 1];
+const releaseDiffs = releases.slice(1).map((release, idx) => diffReleases(releases[idx], release));
+releaseDiffs.forEach((diff) => {
+  const { added, removed, changed } = diff.totals;
+  console.log(`Mudanças ${diff.from} → ${diff.to}: +${added} / -${removed} / ~${changed}`);
+});
 
-const segmentRows = parsed.slice(headerIndex + 1).filter((row) => row[0] && row[1]);
-
-const normalizeRoad = (value) => {
-  const digits = value.replace(/[^\d]/g, '');
-  const cleaned = digits.length ? digits : value.trim();
-  return cleaned.padStart(3, '0');
-};
-
-const parseKm = (value) => {
-  if (!value) return null;
-  const cleaned = value
-    .toString()
-    .trim()
-    .replace(/[oO]/g, '0')
-    .replace(/\./g, '')
-    .replace(',', '.')
-    .replace(/\s+/g, '');
-  const num = Number.parseFloat(cleaned);
-  return Number.isFinite(num) ? num : null;
-};
-
-const segments = segmentRows
-  .map(([uf, road, startKm, endKm]) => {
-    const kmStart = parseKm(startKm);
-    const kmEnd = parseKm(endKm);
-    if (kmStart === null || kmEnd === null) return null;
-    return {
-      uf: uf.trim(),
-      road: normalizeRoad(road),
-      kmStart,
-      kmEnd,
-    };
-  })
-  .filter(Boolean);
+const segments = mergeReleases(releases);
 
 const uniqueRoads = [...new Set(segments.map((seg) => seg.road))].sort();
 console.log(`Total de trechos: ${segments.length}`);
 console.log(`Rodovias únicas: ${uniqueRoads.length}`);
 
-const roadCache = new Map();
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const toKey = ([lon, lat]) => `${lon.toFixed(5)},${lat.toFixed(5)}`;
-const approxEqual = (a, b) => toKey(a) === toKey(b);
-
-const coordsFromWay = (way) =>
-  way.geometry
-    ?.map((pt) => [pt.lon, pt.lat])
-    .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
-
-const buildComponentsFromWays = (segmentsCoords) => {
-  const adjacency = new Map();
-  const addAdjacency = (coord, idx, atStart) => {
-    const key = toKey(coord);
-    if (!adjacency.has(key)) adjacency.set(key, []);
-    adjacency.get(key).push({ idx, atStart });
-  };
-
-  segmentsCoords.forEach((coords, idx) => {
-    addAdjacency(coords[0], idx, true);
-    addAdjacency(coords[coords.length - 1], idx, false);
-  });
-
-  const used = new Array(segmentsCoords.length).fill(false);
-  const assembledLines = [];
-
-  const takeNext = (coord) => {
-    const key = toKey(coord);
-    const entries = adjacency.get(key);
-    if (!entries) return undefined;
-    while (entries.length) {
-      const entry = entries.pop();
-      if (used[entry.idx]) continue;
-      return entry;
-    }
-    return undefined;
-  };
-
-  const extendLine = (coords, direction) => {
-    while (true) {
-      const anchor = direction === 'forward' ? coords[coords.length - 1] : coords[0];
-      const next = takeNext(anchor);
-      if (!next) break;
-      const nextCoords = segmentsCoords[next.idx].slice();
-      used[next.idx] = true;
-      if (direction === 'forward') {
-        if (!next.atStart) nextCoords.reverse();
-        nextCoords.shift();
-        coords.push(...nextCoords);
-      } else {
-        if (next.atStart) nextCoords.reverse();
-        nextCoords.pop();
-        coords.unshift(...nextCoords);
-      }
-    }
-  };
+const hashContent = (...parts) => {
+  const hash = createHash('sha1');
+  parts.forEach((part) => hash.update(part));
+  return hash.digest('hex');
+};
 
-  for (let i = 0; i < segmentsCoords.length; i += 1) {
-    if (used[i]) continue;
-    used[i] = true;
-    const coords = segmentsCoords[i].slice();
-    extendLine(coords, 'forward');
-    extendLine(coords, 'backward');
-    assembledLines.push(coords);
+const DURATION_UNITS_MS = { h: 3600000, d: 86400000, w: 604800000 };
+const parseDuration = (value) => {
+  const match = /^(\d+(?:\.\d+)?)([hdw])$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Duração inválida para --refresh-stale: ${value} (use, por exemplo, 12h, 30d ou 2w)`);
   }
-
-  return assembledLines;
+  return Number.parseFloat(match[1]) * DURATION_UNITS_MS[match[2]];
 };
 
-const MAX_STITCH_GAP_KM = 15;
-
-const stitchComponents = (components) => {
-  if (!components.length) return null;
-  const stitched = components
-    .map((coords) => ({
-      coords: coords.slice(),
-      lengthKm: length(lineString(coords), { units: 'kilometers' }),
-    }))
-    .sort((a, b) => b.lengthKm - a.lengthKm);
-
-  const merged = stitched.shift();
-  const remaining = stitched.slice();
-
-  const endpointDistance = (a, b) => distance(point(a), point(b), { units: 'kilometers' });
-
-  while (remaining.length) {
-    const tail = merged.coords[merged.coords.length - 1];
-    const head = merged.coords[0];
-    let best = null;
-    let bestIdx = -1;
-
-    remaining.forEach((segment, idx) => {
-      const start = segment.coords[0];
-      const end = segment.coords[segment.coords.length - 1];
-      const candidates = [
-        { dist: endpointDistance(tail, start), flip: false, attachHead: false },
-        { dist: endpointDistance(tail, end), flip: true, attachHead: false },
-        { dist: endpointDistance(head, end), flip: false, attachHead: true },
-        { dist: endpointDistance(head, start), flip: true, attachHead: true },
-      ];
-      const bestCandidate = candidates.reduce((acc, candidate) => {
-        if (!acc || candidate.dist < acc.dist) return candidate;
-        return acc;
-      }, null);
-      if (!best || bestCandidate.dist < best.dist) {
-        best = { ...bestCandidate, segment: segment };
-        bestIdx = idx;
-      }
-    });
-
-    if (!best || best.dist > MAX_STITCH_GAP_KM || bestIdx === -1) {
-      break;
-    }
-
-    const [nextSegment] = remaining.splice(bestIdx, 1);
-    let coords = nextSegment.coords.slice();
-    if (best.flip) coords = coords.reverse();
-
-    if (best.attachHead) {
-      if (approxEqual(merged.coords[0], coords[coords.length - 1])) {
-        coords.pop();
-      }
-      merged.coords = coords.concat(merged.coords);
-    } else {
-      if (approxEqual(merged.coords[merged.coords.length - 1], coords[0])) {
-        coords.shift();
-      }
-      merged.coords = merged.coords.concat(coords);
-    }
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
   }
-
-  return {
-    coords: merged.coords,
-    lengthKm: length(lineString(merged.coords), { units: 'kilometers' }),
-  };
 };
 
-const buildLineFromSegments = (segmentsCoords) => {
-  if (!segmentsCoords.length) return null;
-  const components = buildComponentsFromWays(segmentsCoords);
-  if (!components.length) return null;
-  return stitchComponents(components);
-};
+const segmentsByRoad = new Map(uniqueRoads.map((roadId) => [roadId, []]));
+segments.forEach((seg) => segmentsByRoad.get(seg.road).push(seg));
+const rowsHashByRoad = new Map(
+  uniqueRoads.map((roadId) => [roadId, hashContent(JSON.stringify(segmentsByRoad.get(roadId)))])
+);
 
-const buildLineFromWays = (ways) => {
-  const segmentsCoords = ways.map(coordsFromWay).filter((coords) => coords && coords.length >= 2);
-  return buildLineFromSegments(segmentsCoords);
-};
+const selectedRoads = new Set((cliOptions.road ?? []).map(normalizeRoad));
+const selectedUfs = new Set((cliOptions.uf ?? []).map((uf) => uf.trim().toUpperCase()));
+const isSelected = (roadId) =>
+  (!selectedRoads.size || selectedRoads.has(roadId)) &&
+  (!selectedUfs.size || segmentsByRoad.get(roadId).some((seg) => selectedUfs.has(seg.uf)));
+const unknownRoads = [...selectedRoads].filter((roadId) => !segmentsByRoad.has(roadId));
+if (unknownRoads.length) {
+  throw new Error(`Rodovias sem trechos na planilha: ${unknownRoads.map((roadId) => `BR-${roadId}`).join(', ')}`);
+}
+const staleBefore = cliOptions['refresh-stale'] ? Date.now() - parseDuration(cliOptions['refresh-stale']) : null;
+
+const statesRawText = await fs.readFile(STATES_PATH, 'utf8');
+// O hash cobre também os módulos locais importados, onde ficam a montagem da geometria e o corte dos trechos.
+const builderSource = await fs.readFile(fileURLToPath(import.meta.url), 'utf8');
+const localModules = [...builderSource.matchAll(/from '\.\/([\w-]+\.mjs)'/g)].map((match) => match[1]);
+const builderHash = hashContent(
+  builderSource,
+  ...(await Promise.all(localModules.map((name) => fs.readFile(path.join(__dirname, name))))),
+  statesRawText
+);
 
-const buildLineFromRelation = (relation, waysById) => {
-  if (!relation) return null;
-  const coords = [];
-  const seenWays = new Set();
-  for (const member of relation.members ?? []) {
-    if (member.type !== 'way' || seenWays.has(member.ref)) continue;
-    const wayCoords = waysById.get(member.ref);
-    if (!wayCoords || wayCoords.length < 2) continue;
-    seenWays.add(member.ref);
-    let segment = wayCoords.slice();
-    if (member.role === 'backward') segment = segment.reverse();
-    if (!coords.length) {
-      coords.push(...segment);
-      continue;
-    }
-    const prev = coords[coords.length - 1];
-    const startDist = distance(prev, segment[0], { units: 'kilometers' });
-    const endDist = distance(prev, segment[segment.length - 1], { units: 'kilometers' });
-    if (endDist < startDist) {
-      segment = segment.reverse();
-    }
-    if (approxEqual(prev, segment[0])) {
-      coords.push(...segment.slice(1));
-    } else {
-      coords.push(...segment);
-    }
-  }
-  if (coords.length < 2) return null;
-  return {
-    coords,
-    lengthKm: length(lineString(coords), { units: 'kilometers' }),
-  };
-};
+// A saída anterior só é reaproveitada quando manifesto, GeoJSON e relatório vieram da mesma execução.
+const previousManifest = await readJson(MANIFEST_PATH);
+const previousOutput = previousManifest ? await readJson(OUTPUT_PATH) : null;
+const previousReport = previousOutput ? await readJson(REPORT_PATH) : null;
+const previousNetwork = previousReport ? await readJson(NETWORK_PATH) : null;
+const previousByRoad = new Map();
+if (previousNetwork && previousManifest.generatedAt === previousReport.generatedAt) {
+  previousReport.roads.forEach((roadReport) => {
+    previousByRoad.set(roadReport.road, { report: roadReport, features: [], trechos: [], network: [] });
+  });
+  previousOutput.features.forEach((feature) => previousByRoad.get(feature.properties.road)?.features.push(feature));
+  previousReport.trechos.forEach((report) => previousByRoad.get(report.road)?.trechos.push(report));
+  previousNetwork.features.forEach((feature) => previousByRoad.get(feature.properties.road)?.network.push(feature));
+}
 
-const fetchOverpass = async (query, attempt = 1, endpointIndex = 0) => {
-  const endpoint = OVERPASS_ENDPOINTS[endpointIndex % OVERPASS_ENDPOINTS.length];
-  const url = `${endpoint}?data=${encodeURIComponent(query)}`;
-  let response;
-  try {
-    response = await fetch(url);
-  } catch (error) {
-    if (endpointIndex < OVERPASS_ENDPOINTS.length - 1) {
-      console.warn(`Erro de rede (${error.message}) usando ${endpoint}. Tentando endpoint alternativo...`);
-      return fetchOverpass(query, attempt, endpointIndex + 1);
-    }
-    if (attempt >= 5) {
-      throw new Error(`Erro de rede ao consultar Overpass: ${error.message}`);
-    }
-    const waitMs = Math.min(30000, attempt * 4000);
-    console.warn(`Erro de rede (${error.message}) no Overpass. Retentando em ${Math.round(waitMs / 1000)}s...`);
-    await sleep(waitMs);
-    return fetchOverpass(query, attempt + 1, 0);
-  }
-  if (response.status === 429) {
-    const retryAfterHeader = response.headers.get('retry-after');
-    const retrySeconds = retryAfterHeader ? Number.parseInt(retryAfterHeader, 10) : 10;
-    const backoffMs = Math.min(60000, (retrySeconds || 10) * 1000 * attempt);
-    console.warn(`Overpass limit atingido. Nova tentativa em ${Math.round(backoffMs / 1000)}s...`);
-    await sleep(backoffMs);
-    return fetchOverpass(query, attempt + 1, endpointIndex + 1);
-  }
-  if (response.status >= 500 && attempt < 5) {
-    const waitMs = Math.min(30000, attempt * 5000);
-    console.warn(`Erro ${response.status} do Overpass. Tentando novamente em ${Math.round(waitMs / 1000)}s...`);
-    await sleep(waitMs);
-    return fetchOverpass(query, attempt + 1, endpointIndex + 1);
-  }
-  if (!response.ok) {
-    throw new Error(`Falha no Overpass: ${response.status} ${response.statusText}`);
-  }
-  try {
-    return await response.json();
-  } catch (error) {
-    if (attempt >= 5 && endpointIndex >= OVERPASS_ENDPOINTS.length - 1) {
-      throw new Error(`Resposta inválida do Overpass: ${error.message}`);
-    }
-    const waitMs = Math.min(30000, attempt * 4000);
-    console.warn(`Resposta inválida do Overpass (${error.message}). Tentando novamente em ${Math.round(waitMs / 1000)}s...`);
-    await sleep(waitMs);
-    return fetchOverpass(query, attempt + 1, endpointIndex + 1);
-  }
-};
+const roadCache = new Map();
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const readRoadCache = async (roadId) => {
   const filePath = path.join(ROAD_CACHE_DIR, `BR-${roadId}.geojson`);
@@ -311,194 +186,474 @@ const readRoadCache = async (roadId) => {
     const content = await fs.readFile(filePath, 'utf8');
     const parsed = JSON.parse(content);
     if (parsed?.properties?.cacheVersion !== ROAD_CACHE_VERSION) return null;
-    return parsed;
+    return { feature: parsed, hash: hashContent(content) };
   } catch {
     return null;
   }
 };
 
+// Caches anteriores a uma mudança no que o builder grava são baixados de novo, mesmo com a versão igual.
+const outdatedCacheReason = (properties) => {
+  if (!properties.assembly) return 'montada pela junção antiga das ways, sem relação nem pista única';
+  if (!Array.isArray(properties.milestones)) return 'sem os marcos quilométricos da calibração';
+  if (!Number.isInteger(properties.components)) return 'sem os pedaços desconexos da rodovia';
+  return null;
+};
+
 const saveRoadCache = async (roadId, feature) => {
   const filePath = path.join(ROAD_CACHE_DIR, `BR-${roadId}.geojson`);
-  await fs.writeFile(filePath, JSON.stringify(feature));
+  const content = JSON.stringify(feature);
+  await fs.writeFile(filePath, content);
+  return hashContent(content);
 };
 
-const fetchRoad = async (roadId, attempt = 1) => {
-  const segments = [];
-  const seenWayIds = new Set();
-  const relationQuery = `[out:json][timeout:900];rel["route"="road"]["ref"="BR-${roadId}"];out body;way(r);out geom;`;
-  try {
-    const relationPayload = await fetchOverpass(relationQuery, attempt);
-    const ways = relationPayload.elements?.filter((el) => el.type === 'way' && el.geometry) ?? [];
-    ways.forEach((way) => {
-      const coords = coordsFromWay(way);
-      if (!coords || coords.length < 2) return;
-      const id = way.id ?? `rel-${roadId}-${segments.length}`;
-      if (seenWayIds.has(id)) return;
-      seenWayIds.add(id);
-      segments.push(coords);
-    });
-  } catch (error) {
-    console.warn(`Falha ao montar geometria da BR-${roadId} via relação: ${error.message}`);
-  }
-
-  const fallbackQuery = `[out:json][timeout:900];way["highway"]["ref"="BR-${roadId}"];out geom;`;
-  try {
-    const fallbackPayload = await fetchOverpass(fallbackQuery, attempt);
-    const ways = fallbackPayload.elements?.filter((el) => el.type === 'way' && el.geometry) ?? [];
-    ways.forEach((way) => {
-      const coords = coordsFromWay(way);
-      if (!coords || coords.length < 2) return;
-      const id = way.id ?? `way-${roadId}-${segments.length}`;
-      if (seenWayIds.has(id)) return;
-      seenWayIds.add(id);
-      segments.push(coords);
-    });
-  } catch (error) {
-    console.warn(`Fallback via ways falhou para BR-${roadId}: ${error.message}`);
-  }
-
-  const geometryResult = buildLineFromSegments(segments);
+const fetchRoad = async (roadId) => {
+  const roadData = await roadProvider.loadRoad(roadId);
+  const geometryResult = assembleRoadGeometry(roadData);
   if (!geometryResult || geometryResult.coords.length < 2) {
     throw new Error(`Geometria inválida para BR-${roadId}`);
   }
+  const lines = [geometryResult.coords, ...geometryResult.components, ...geometryResult.branches];
+  const milestones = (roadData.milestones ?? [])
+    .map(({ id, coordinates, tags }) => ({ id, km: parseMilestoneKm(tags), coordinates }))
+    .filter((milestone) => milestone.km !== null)
+    .sort((a, b) => a.km - b.km);
 
   return {
     type: 'Feature',
     properties: {
       road: `BR-${roadId}`,
       lengthKm: Number(geometryResult.lengthKm.toFixed(2)),
-      source: 'OpenStreetMap / Overpass API',
+      components: 1 + geometryResult.components.length,
+      componentLengthKm: Number(geometryResult.componentLengthKm.toFixed(2)),
+      branches: geometryResult.branches.length,
+      branchLengthKm: Number(geometryResult.branchLengthKm.toFixed(2)),
+      droppedComponents: geometryResult.droppedComponents,
+      droppedLengthKm: Number(geometryResult.droppedLengthKm.toFixed(2)),
+      assembly: geometryResult.assembly,
+      milestones,
+      source: roadProvider.source,
       updatedAt: new Date().toISOString(),
       cacheVersion: ROAD_CACHE_VERSION,
     },
-    geometry: {
-      type: 'LineString',
-      coordinates: geometryResult.coords,
-    },
+    // As primeiras `components` linhas são as de referência da quilometragem, uma por pedaço desconexo da
+    // rodovia (a maior primeiro); as demais são ramais.
+    geometry:
+      lines.length === 1 ? { type: 'LineString', coordinates: lines[0] } : { type: 'MultiLineString', coordinates: lines },
   };
 };
 
+const roadLines = (roadFeature) =>
+  roadFeature.geometry.type === 'MultiLineString' ? roadFeature.geometry.coordinates : [roadFeature.geometry.coordinates];
+
+const manifestRoads = {};
 let lastDownloadAt = 0;
 for (let index = 0; index < uniqueRoads.length; index += 1) {
   const roadId = uniqueRoads[index];
-  if (roadCache.has(roadId)) continue;
-  let feature = await readRoadCache(roadId);
-  if (!feature) {
-    console.log(`Baixando geometria da BR-${roadId} (${index + 1}/${uniqueRoads.length})...`);
+  const label = `BR-${roadId}`;
+  const rowsHash = rowsHashByRoad.get(roadId);
+  const previousEntry = previousManifest?.roads?.[roadId];
+  const reusable = Boolean(previousEntry && previousByRoad.has(label));
+  if (!isSelected(roadId) && reusable) {
+    if (previousEntry.rowsHash !== rowsHash) {
+      console.warn(`${label} mudou na planilha, mas está fora da seleção; mantendo saída anterior.`);
+    }
+    manifestRoads[roadId] = previousEntry;
+    continue;
+  }
+
+  let cached = cliOptions.force ? null : await readRoadCache(roadId);
+  if (cached && staleBefore !== null && !(Date.parse(cached.feature.properties.updatedAt) >= staleBefore)) {
+    console.log(`${label}: geometria em cache desatualizada (${cached.feature.properties.updatedAt ?? 'sem data'}).`);
+    cached = null;
+  }
+  const outdated = cached && outdatedCacheReason(cached.feature.properties);
+  if (outdated) {
+    console.log(`${label}: geometria em cache ${outdated}.`);
+    cached = null;
+  }
+  if (!cached) {
+    console.log(`Obtendo geometria da ${label} via ${roadProvider.name} (${index + 1}/${uniqueRoads.length})...`);
     const elapsed = Date.now() - lastDownloadAt;
-    if (lastDownloadAt && elapsed < MIN_DOWNLOAD_DELAY_MS) {
+    if (roadProvider.throttle && lastDownloadAt && elapsed < MIN_DOWNLOAD_DELAY_MS) {
       await sleep(MIN_DOWNLOAD_DELAY_MS - elapsed);
     }
-    feature = await fetchRoad(roadId);
+    const feature = await fetchRoad(roadId);
     lastDownloadAt = Date.now();
     feature.properties.cacheVersion = ROAD_CACHE_VERSION;
-    await saveRoadCache(roadId, feature);
-  } else {
-    console.log(`BR-${roadId} em cache.`);
+    cached = { feature, hash: await saveRoadCache(roadId, feature) };
   }
-  roadCache.set(roadId, feature);
+
+  const entry = {
+    geometryHash: cached.hash,
+    rowsHash,
+    geometryUpdatedAt: cached.feature.properties.updatedAt ?? null,
+  };
+  manifestRoads[roadId] = entry;
+  const upToDate =
+    !cliOptions.force &&
+    reusable &&
+    previousManifest.builderHash === builderHash &&
+    previousEntry.geometryHash === entry.geometryHash &&
+    previousEntry.rowsHash === entry.rowsHash;
+  if (upToDate) continue;
+  console.log(`${label} será regenerada.`);
+  roadCache.set(roadId, cached.feature);
 }
+console.log(`Rodovias a regenerar: ${roadCache.size} de ${uniqueRoads.length}`);
 
-const lineLengthCache = new Map(
-  Array.from(roadCache.entries()).map(([roadId, feature]) => [
-    roadId,
-    length(feature, { units: 'kilometers' }),
-  ])
+const statesRaw = JSON.parse(statesRawText);
+const statePolygons = new Map(
+  statesRaw.features.map((feature) => [feature.properties.sigla, { ...feature, bbox: bbox(feature) }])
 );
+const missingStates = [...new Set(segments.map((seg) => seg.uf))].filter((uf) => !statePolygons.has(uf));
+if (missingStates.length) {
+  throw new Error(`UFs sem polígono em ${path.basename(STATES_PATH)}: ${missingStates.join(', ')}`);
+}
 
-const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
-const MAX_GAP_KM = 8;
-
-const splitByGap = (coords) => {
-  if (!coords || coords.length < 2) return [];
-  const chunks = [];
-  let current = [coords[0]];
-  for (let i = 1; i < coords.length; i += 1) {
-    const prev = coords[i - 1];
-    const curr = coords[i];
-    const gap = distance(point(prev), point(curr), { units: 'kilometers' });
-    if (gap > MAX_GAP_KM) {
-      if (current.length > 1) chunks.push(current);
-      current = [curr];
-    } else {
-      current.push(curr);
+const formatSigned = (km) => `${km > 0 ? '+' : ''}${km.toFixed(2)}`;
+
+const statePieces = new Map();
+for (const { road, uf } of segments) {
+  if (!roadCache.has(road)) continue;
+  const key = `${road}|${uf}`;
+  if (statePieces.has(key)) continue;
+  const roadFeature = roadCache.get(road);
+  const { components } = roadFeature.properties;
+  const references = roadLines(roadFeature).slice(0, components);
+  const branches = roadLines(roadFeature).slice(components);
+  const pieceFrom = (lines) =>
+    buildStatePiece({ roadId: road, uf, lines, state: statePolygons.get(uf), milestones: roadFeature.properties.milestones });
+  // Os ramais só medem a UF em que nenhuma linha de referência entra; onde elas entram, somariam km de outra via.
+  let piece = pieceFrom(references);
+  if (!piece && branches.length) {
+    piece = pieceFrom(branches);
+    if (piece) {
+      piece = { ...piece, fromBranches: true };
+      console.warn(`BR-${road} só chega a ${uf} pelos ramais; trechos medidos neles.`);
     }
   }
-  if (current.length > 1) chunks.push(current);
-  return chunks;
+  if (!piece) {
+    console.warn(`BR-${road} não cruza ${uf} na geometria do OSM; trechos ignorados.`);
+  }
+  statePieces.set(key, piece);
+  const { anchors, rejected } = piece?.calibration ?? { anchors: [], rejected: [] };
+  if (anchors.length || rejected.length) {
+    // Correção = distância medida na linha − km do marco; resíduo = quanto um marco descartado discorda da tabela.
+    const corrections = anchors.map((anchor) => anchor.correctionKm);
+    const residuals = rejected.filter((marker) => marker.residualKm !== undefined).map((marker) => Math.abs(marker.residualKm));
+    console.log(
+      `Calibração BR-${road}/${uf}: ${anchors.length} marcos` +
+        (anchors.length ? `, correção de ${formatSigned(Math.min(...corrections))} a ${formatSigned(Math.max(...corrections))} km` : '') +
+        (rejected.length ? `, ${rejected.length} descartados` : '') +
+        (residuals.length ? ` (maior resíduo ${Math.max(...residuals).toFixed(2)} km)` : '')
+    );
+  }
+}
+
+const bboxesIntersect = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+const NETWORK_SIMPLIFY_TOLERANCE = 0.002;
+const roundCoord = ([lon, lat]) => [Number(lon.toFixed(5)), Number(lat.toFixed(5))];
+
+// Recorta a rodovia inteira por UF. A extensão em cada UF é o denominador da proporção fiscalizada
+// e vale só para o que o OSM tem da rodovia, não para a malha oficial do DNIT.
+const clipRoadByUf = (roadId) => {
+  const lineFeature = roadCache.get(roadId);
+  const roadBbox = bbox(lineFeature);
+  const pieces = [];
+  statePolygons.forEach((state, uf) => {
+    if (!bboxesIntersect(roadBbox, state.bbox)) return;
+    const runs = roadLines(lineFeature).flatMap((line) => clipLineToState(line, state));
+    const km = runs.reduce((acc, run) => acc + length(lineString(run), { units: 'kilometers' }), 0);
+    if (km < MIN_STATE_RUN_KM) return;
+    pieces.push({ uf, km: Number(km.toFixed(2)), runs });
+  });
+  return pieces;
 };
 
-const buildGeometryFromChunks = (chunks) => {
-  if (!chunks.length) return null;
-  if (chunks.length === 1) {
+// Camada de contexto: a rodovia por UF, simplificada (~200 m), para desenhar por baixo dos trechos.
+const buildNetworkFeatures = (roadId, pieces) =>
+  pieces.map(({ uf, km, runs }) => {
+    const lines = runs.map(
+      (run) => simplify(lineString(run), { tolerance: NETWORK_SIMPLIFY_TOLERANCE }).geometry.coordinates.map(roundCoord)
+    );
     return {
-      type: 'LineString',
-      coordinates: chunks[0],
+      type: 'Feature',
+      geometry:
+        lines.length === 1 ? { type: 'LineString', coordinates: lines[0] } : { type: 'MultiLineString', coordinates: lines },
+      properties: { road: `BR-${roadId}`, uf, osmKm: km },
     };
+  });
+
+const roadOutputs = new Map();
+for (const roadId of uniqueRoads) {
+  if (!roadCache.has(roadId)) {
+    roadOutputs.set(roadId, previousByRoad.get(`BR-${roadId}`));
+    continue;
   }
-  return {
-    type: 'MultiLineString',
-    coordinates: chunks,
+  roadOutputs.set(roadId, { features: [], trechos: [], network: [] });
+}
+
+for (const segment of segments) {
+  if (!roadCache.has(segment.road)) continue;
+  const output = roadOutputs.get(segment.road);
+  const { feature, report } = sliceSegment(statePieces.get(`${segment.road}|${segment.uf}`), segment);
+  output.trechos.push(report);
+  if (feature) output.features.push(feature);
+}
+
+for (const [roadId, { properties }] of roadCache) {
+  const roadSegments = segmentsByRoad.get(roadId);
+  const states = [...new Set(roadSegments.map((seg) => seg.uf))].sort().map((uf) => {
+    const piece = statePieces.get(`${roadId}|${uf}`);
+    const maxKm = Math.max(...roadSegments.filter((seg) => seg.uf === uf).map((seg) => Math.max(seg.kmStart, seg.kmEnd)));
+    const pieceLengthKm = piece ? Number(piece.lengthKm.toFixed(2)) : 0;
+    const maxDistanceKm = piece ? piece.calibration.toDistance(maxKm) : maxKm;
+    return {
+      uf,
+      pieceLengthKm,
+      // Mais de uma parte: a rodovia sai da UF e volta; a distância soma só as partes.
+      pieceRuns: piece ? piece.runs.length : 0,
+      ...(piece?.fromBranches ? { fromBranches: true } : {}),
+      maxKm,
+      shortfallKm: Number(Math.max(0, maxDistanceKm - pieceLengthKm).toFixed(2)),
+      ...(piece && (piece.calibration.anchors.length || piece.calibration.rejected.length)
+        ? { calibration: { anchors: piece.calibration.anchors, rejected: piece.calibration.rejected } }
+        : {}),
+    };
+  });
+  const pieces = clipRoadByUf(roadId);
+  roadOutputs.get(roadId).network = buildNetworkFeatures(roadId, pieces);
+  roadOutputs.get(roadId).report = {
+    road: `BR-${roadId}`,
+    osmLengthKm: properties.lengthKm ?? null,
+    componentLengthKm: properties.componentLengthKm ?? null,
+    assembly: properties.assembly ?? null,
+    branchLengthKm: properties.branchLengthKm ?? null,
+    droppedComponents: properties.droppedComponents ?? null,
+    droppedLengthKm: properties.droppedLengthKm ?? null,
+    maxKm: Math.max(...states.map((state) => state.maxKm)),
+    states,
+    osmKmByUf: Object.fromEntries(pieces.map(({ uf, km }) => [uf, km])),
   };
+}
+
+const outputs = uniqueRoads.map((roadId) => roadOutputs.get(roadId));
+// A geometria publicada é simplificada e arredondada; os km e extensões já foram medidos na linha completa.
+const features = assignTrechoIds(compactFeatures(outputs.flatMap((output) => output.features)));
+assertUniqueIds(features, 'Trechos');
+const trechoReports = outputs.flatMap((output) => output.trechos);
+const roadReports = outputs.map((output) => output.report);
+const networkFeatures = outputs.flatMap((output) => output.network);
+
+const countWhere = (predicate) => trechoReports.filter(predicate).length;
+const qualityTotals = {
+  trechos: trechoReports.length,
+  emitted: features.length,
+  skipped: countWhere((report) => report.skipped),
+  outsideLine: countWhere((report) => report.skipReason === 'fora da linha'),
+  clamped: countWhere((report) => report.clamped),
+  fallbackGenerated: countWhere((report) => report.fallbackGenerated),
+  gapSplit: countWhere((report) => report.gapSplits > 0),
+  droppedComponents: roadReports.reduce((acc, report) => acc + (report.droppedComponents ?? 0), 0),
+  droppedLengthKm: Number(roadReports.reduce((acc, report) => acc + (report.droppedLengthKm ?? 0), 0).toFixed(2)),
 };
 
-const features = segments.map((segment) => {
-  const lineFeature = roadCache.get(segment.road);
-  if (!lineFeature) {
-    throw new Error(`Geometria da BR-${segment.road} não carregada.`);
-  }
-  const totalLength = lineLengthCache.get(segment.road) ?? length(lineFeature, { units: 'kilometers' });
-  const start = clamp(Math.min(segment.kmStart, segment.kmEnd), 0, totalLength);
-  const end = clamp(Math.max(segment.kmStart, segment.kmEnd), 0, totalLength);
-  const sliced = lineSliceAlong(lineFeature, start, end, { units: 'kilometers' });
-  let geometry = sliced.geometry;
-  if (!geometry.coordinates || geometry.coordinates.length < 2) {
-    const delta = Math.max(0.05, Math.min(1, totalLength * 0.01));
-    let fallbackStart = clamp(start - delta / 2, 0, totalLength);
-    let fallbackEnd = clamp(end + delta / 2, 0, totalLength);
-    if (fallbackStart === fallbackEnd) {
-      if (fallbackEnd >= totalLength) {
-        fallbackStart = Math.max(0, totalLength - delta);
-      } else {
-        fallbackEnd = Math.min(totalLength, fallbackEnd + delta);
-      }
-    }
-    const startPoint = along(lineFeature, fallbackStart, { units: 'kilometers' });
-    const endPoint = along(lineFeature, fallbackEnd, { units: 'kilometers' });
-    geometry = lineString([startPoint.geometry.coordinates, endPoint.geometry.coordinates]).geometry;
-  }
-  const cleanedChunks = splitByGap(geometry.coordinates);
-  if (cleanedChunks.length) {
-    const newGeometry = buildGeometryFromChunks(cleanedChunks);
-    if (newGeometry) {
-      geometry = newGeometry;
+console.log(
+  `Qualidade: ${qualityTotals.skipped - qualityTotals.outsideLine} sem geometria na UF, ` +
+    `${qualityTotals.outsideLine} fora da linha da UF, ${qualityTotals.clamped} com km limitado, ` +
+    `${qualityTotals.fallbackGenerated} com linha substituta, ${qualityTotals.gapSplit} divididos por lacuna`
+);
+
+// Trechos perdidos ou encurtados agrupados por BR/UF, com as linhas da planilha de cada grupo.
+const gapsByRoadUf = new Map();
+trechoReports
+  .filter((report) => report.skipped || report.clamped)
+  .forEach(({ uf, road, skipped, clamped, fallbackGenerated, gapSplits, ...row }) => {
+    const key = `${road}/${uf}`;
+    if (!gapsByRoadUf.has(key)) {
+      gapsByRoadUf.set(key, { road, uf, skipped: 0, clamped: 0, rows: [] });
     }
-  }
-  return {
+    const entry = gapsByRoadUf.get(key);
+    entry[skipped ? 'skipped' : 'clamped'] += 1;
+    entry.rows.push(row);
+  });
+const skippedByRoadUf = [...gapsByRoadUf.values()].sort(
+  (a, b) => b.skipped + b.clamped - (a.skipped + a.clamped) || a.road.localeCompare(b.road) || a.uf.localeCompare(b.uf)
+);
+skippedByRoadUf
+  .slice(0, 10)
+  .forEach((entry) => console.warn(`${entry.road}/${entry.uf}: ${entry.skipped} trechos perdidos, ${entry.clamped} com km limitado.`));
+if (skippedByRoadUf.length > 10) {
+  console.warn(`... e mais ${skippedByRoadUf.length - 10} pares BR/UF (lista completa em ${path.basename(REPORT_PATH)}).`);
+}
+
+const thresholds = JSON.parse(await fs.readFile(thresholdsPath, 'utf8'));
+const ratio = (count) => (qualityTotals.trechos ? count / qualityTotals.trechos : 0);
+const qualityChecks = [
+  ['maxSkippedRatio', ratio(qualityTotals.skipped)],
+  ['maxClampedRatio', ratio(qualityTotals.clamped)],
+  ['maxFallbackRatio', ratio(qualityTotals.fallbackGenerated)],
+  ['maxGapSplitRatio', ratio(qualityTotals.gapSplit)],
+  ['maxDroppedComponents', qualityTotals.droppedComponents],
+]
+  .filter(([name]) => thresholds[name] !== undefined)
+  .map(([name, value]) => ({
+    name,
+    value: Number(value.toFixed(4)),
+    limit: thresholds[name],
+    passed: value <= thresholds[name],
+  }));
+
+const generatedAt = new Date().toISOString();
+await fs.writeFile(
+  REPORT_PATH,
+  JSON.stringify(
+    {
+      generatedAt,
+      totals: qualityTotals,
+      checks: qualityChecks,
+      skippedByRoadUf,
+      roads: roadReports,
+      trechos: trechoReports,
+    },
+    null,
+    2
+  )
+);
+console.log(`Relatório de qualidade gerado em ${REPORT_PATH}`);
+
+const failedChecks = qualityChecks.filter((check) => !check.passed);
+if (failedChecks.length) {
+  failedChecks.forEach((check) => console.error(`Limite ${check.name} excedido: ${check.value} > ${check.limit}`));
+  throw new Error('Qualidade das geometrias abaixo do limite configurado; GeoJSON não foi gerado.');
+}
+
+await fs.writeFile(OUTPUT_PATH, JSON.stringify({ type: 'FeatureCollection', features }));
+
+const corridors = buildCorridors(features.filter((feature) => feature.properties.kind !== 'point'));
+assertUniqueIds(corridors, 'Corredores');
+
+// Km fiscalizados por BR/UF em cada release, somando corredores (sem contar sobreposições duas vezes).
+const monitoredKm = new Map();
+corridors.forEach(({ properties }) => {
+  const key = `${properties.road}|${properties.uf}`;
+  if (!monitoredKm.has(key)) monitoredKm.set(key, {});
+  const byRelease = monitoredKm.get(key);
+  (properties.releases ?? [latestRelease.id]).forEach((releaseId) => {
+    byRelease[releaseId] = Number(((byRelease[releaseId] ?? 0) + properties.lengthKm).toFixed(2));
+  });
+});
+await fs.writeFile(
+  NETWORK_PATH,
+  JSON.stringify({
+    type: 'FeatureCollection',
+    features: networkFeatures.map(({ geometry, properties: { road, uf, osmKm } }) => ({
+      type: 'Feature',
+      geometry,
+      properties: { road, uf, osmKm, monitoredKm: monitoredKm.get(`${road}|${uf}`) ?? {} },
+    })),
+  })
+);
+const networkStats = { byUf: {}, byRoad: {}, byRoadUf: {} };
+roadReports.forEach(({ road, osmKmByUf = {} }) => {
+  Object.entries(osmKmByUf).forEach(([uf, km]) => {
+    networkStats.byUf[uf] = Number(((networkStats.byUf[uf] ?? 0) + km).toFixed(2));
+    networkStats.byRoad[road] = Number(((networkStats.byRoad[road] ?? 0) + km).toFixed(2));
+    networkStats.byRoadUf[`${road}|${uf}`] = km;
+  });
+});
+// Polígonos simplificados (~500 m) só para o coroplético do painel de estatísticas.
+const statesOutput = {
+  type: 'FeatureCollection',
+  features: statesRaw.features.map((feature) => ({
     type: 'Feature',
-    geometry,
+    geometry: simplify(feature, { tolerance: 0.005, highQuality: false }).geometry,
     properties: {
-      uf: segment.uf,
-      road: `BR-${segment.road}`,
-      roadNumber: segment.road,
-      kmStart: Number(start.toFixed(2)),
-      kmEnd: Number(end.toFixed(2)),
-      lengthKm: Number((end - start).toFixed(2)),
+      uf: feature.properties.sigla,
+      name: feature.properties.name,
+      osmKm: networkStats.byUf[feature.properties.sigla] ?? 0,
     },
-  };
-});
+  })),
+};
+await fs.writeFile(STATES_OUTPUT_PATH, JSON.stringify(statesOutput));
+const sortKeys = (object) => Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+await fs.writeFile(
+  NETWORK_STATS_PATH,
+  JSON.stringify(
+    {
+      generatedAt,
+      byUf: sortKeys(networkStats.byUf),
+      byRoad: sortKeys(networkStats.byRoad),
+      byRoadUf: sortKeys(networkStats.byRoadUf),
+    },
+    null,
+    2
+  )
+);
+
+await fs.writeFile(CORRIDORS_PATH, JSON.stringify({ type: 'FeatureCollection', features: corridors }));
+
+if (cliOptions.topojson) {
+  await fs.writeFile(TOPOJSON_PATH, JSON.stringify(buildTopology(features, corridors)));
+} else {
+  await fs.rm(TOPOJSON_PATH, { force: true });
+}
+await fs.writeFile(
+  INDEX_PATH,
+  JSON.stringify({
+    generatedAt,
+    ...buildOutputIndex(features, corridors, latestRelease.id, {
+      trechos: path.basename(OUTPUT_PATH),
+      corredores: path.basename(CORRIDORS_PATH),
+      ...(cliOptions.topojson ? { topojson: path.basename(TOPOJSON_PATH) } : {}),
+    }),
+  })
+);
+
+// Blocos para o mapa: o cliente carrega só os da área visível, no nível de detalhe do zoom atual.
+const renderLayers = {
+  trechos: buildRenderTiles(features, (props) => props.id),
+  corredores: buildRenderTiles(corridors, (props) => props.id),
+};
+await fs.rm(RENDER_DIR, { recursive: true, force: true });
+for (const [layerName, { tiles }] of Object.entries(renderLayers)) {
+  for (const [key, tileFeatures] of tiles) {
+    const tilePath = path.join(RENDER_DIR, layerName, `${key}.json`);
+    await fs.mkdir(path.dirname(tilePath), { recursive: true });
+    await fs.writeFile(tilePath, JSON.stringify({ features: tileFeatures }));
+  }
+}
+const [{ index: renderIndex }] = Object.values(renderLayers);
+await fs.writeFile(
+  path.join(RENDER_DIR, 'index.json'),
+  JSON.stringify({
+    generatedAt,
+    tileZoom: renderIndex.tileZoom,
+    lods: renderIndex.lods,
+    layers: Object.fromEntries(Object.entries(renderLayers).map(([layerName, { index }]) => [layerName, index.tiles])),
+  })
+);
+
+await fs.writeFile(
+  MANIFEST_PATH,
+  JSON.stringify({ generatedAt, builderHash, roads: manifestRoads }, null, 2)
+);
 
-const outputPath = path.join(OUTPUT_DIR, 'trechos.geojson');
 await fs.writeFile(
-  outputPath,
+  RELEASES_PATH,
   JSON.stringify(
     {
-      type: 'FeatureCollection',
-      features,
+      latest: latestRelease.id,
+      releases: releases.map(({ id, segments: releaseSegments }) => ({ id, trechos: releaseSegments.length })),
+      diffs: releaseDiffs,
     },
     null,
     2
   )
 );
 
-console.log(`GeoJSON gerado em ${outputPath}`);
+console.log(`GeoJSON gerado em ${OUTPUT_PATH}`);
+console.log(`${corridors.length} corredores contínuos gerados em ${CORRIDORS_PATH}`);
+if (cliOptions.topojson) console.log(`TopoJSON gerado em ${TOPOJSON_PATH}`);
@@ -0,0 +1,123 @@
+import { createHash } from 'node:crypto';
+import { point } from '@turf/helpers';
+import distance from '@turf/distance';
+import { trechoId } from './linear-referencing.mjs';
+
+// Trechos que se tocam (ou se sobrepõem) com folga de até 10 m no km formam um corredor.
+const ADJACENT_TOLERANCE_KM = 0.01;
+const JOIN_TOLERANCE_KM = 0.01;
+
+const featureLines = (geometry) => {
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+};
+
+// Emenda as linhas dos trechos na ordem do km; onde as pontas não se encontram, vira outra parte.
+const joinLines = (lines) => {
+  const joined = [];
+  lines.forEach((line) => {
+    const last = joined[joined.length - 1];
+    const touches =
+      last && distance(point(last[last.length - 1]), point(line[0]), { units: 'kilometers' }) <= JOIN_TOLERANCE_KM;
+    if (touches) {
+      last.push(...line.slice(1));
+    } else {
+      joined.push([...line]);
+    }
+  });
+  return joined.length === 1
+    ? { type: 'LineString', coordinates: joined[0] }
+    : { type: 'MultiLineString', coordinates: joined };
+};
+
+// A faixa de km sozinha não identifica o corredor: duas releases podem cortar a mesma faixa de jeitos
+// diferentes (km 0–10 e 10–20 numa, 0–5 e 5–20 na outra). O id leva um resumo dos ids dos trechos.
+const memberIds = (members) => members.map((member) => member.properties.id ?? trechoId(member.properties)).sort();
+
+const corridorId = ({ uf, roadNumber, direction }, kmStart, kmEnd, members) => {
+  const digest = createHash('sha1').update(memberIds(members).join('|')).digest('hex').slice(0, 8);
+  return `${uf}-${roadNumber}-${kmStart}-${kmEnd}${direction ? `-${direction}` : ''}-${digest}`;
+};
+
+// Extensão medida na linha, como a dos trechos: soma a de cada trecho, mas só na parte da faixa de km que os
+// anteriores ainda não cobriram, para trechos sobrepostos não contarem duas vezes.
+const measuredLengthKm = (members) => {
+  let coveredKm = -Infinity;
+  return members.reduce((total, { properties: { kmStart, kmEnd, lengthKm } }) => {
+    const spanKm = kmEnd - kmStart;
+    const uncoveredKm = Math.max(0, kmEnd - Math.max(kmStart, coveredKm));
+    coveredKm = Math.max(coveredKm, kmEnd);
+    return total + (spanKm > 0 ? (lengthKm * uncoveredKm) / spanKm : lengthKm);
+  }, 0);
+};
+
+const mergeGroup = (features) => {
+  const sorted = [...features].sort((a, b) => a.properties.kmStart - b.properties.kmStart || a.properties.kmEnd - b.properties.kmEnd);
+  const groups = [];
+  sorted.forEach((feature) => {
+    const last = groups[groups.length - 1];
+    if (last && feature.properties.kmStart <= last.kmEnd + ADJACENT_TOLERANCE_KM) {
+      last.members.push(feature);
+      last.kmEnd = Math.max(last.kmEnd, feature.properties.kmEnd);
+    } else {
+      groups.push({ kmStart: feature.properties.kmStart, kmEnd: feature.properties.kmEnd, members: [feature] });
+    }
+  });
+  return groups;
+};
+
+// Monta os corredores release a release: um corredor que existe igual em várias releases aparece
+// uma vez só, com a lista de releases, como os trechos.
+export const buildCorridors = (features) => {
+  const releaseIds = [...new Set(features.flatMap((feature) => feature.properties.releases ?? []))].sort();
+  const byKey = new Map();
+  (releaseIds.length ? releaseIds : [null]).forEach((releaseId) => {
+    const groups = new Map();
+    features
+      .filter((feature) => !releaseId || feature.properties.releases?.includes(releaseId))
+      .forEach((feature) => {
+        // Trechos de um sentido só não se juntam com os do outro sentido.
+        const groupKey = `${feature.properties.uf}|${feature.properties.road}|${feature.properties.direction ?? ''}`;
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(feature);
+      });
+    groups.forEach((groupFeatures, groupKey) => {
+      mergeGroup(groupFeatures).forEach(({ kmStart, kmEnd, members }) => {
+        const key = `${groupKey}|${memberIds(members).join(',')}`;
+        if (!byKey.has(key)) byKey.set(key, { kmStart, kmEnd, members, releases: [] });
+        if (releaseId) byKey.get(key).releases.push(releaseId);
+      });
+    });
+  });
+
+  return [...byKey.values()]
+    .map(({ kmStart, kmEnd, members, releases }) => {
+      const { uf, road, roadNumber, direction } = members[0].properties;
+      return {
+        type: 'Feature',
+        geometry: joinLines(members.flatMap((member) => featureLines(member.geometry))),
+        properties: {
+          id: corridorId(members[0].properties, kmStart, kmEnd, members),
+          uf,
+          road,
+          roadNumber,
+          kmStart,
+          kmEnd,
+          lengthKm: Number(measuredLengthKm(members).toFixed(2)),
+          ...(direction ? { direction } : {}),
+          trechoCount: members.length,
+          trechos: members.map((member) => ({ kmStart: member.properties.kmStart, kmEnd: member.properties.kmEnd })),
+          ...(releases.length
+            ? { firstSeen: releases[0], lastSeen: releases[releases.length - 1], releases }
+            : {}),
+        },
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.properties.road.localeCompare(b.properties.road) ||
+        a.properties.uf.localeCompare(b.properties.uf) ||
+        a.properties.kmStart - b.properties.kmStart
+    );
+};
@@ -0,0 +1,209 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parse } from 'csv-parse/sync';
+import { readSheet } from 'read-excel-file/node';
+
+export const UF_CODES = new Set([
+  'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+  'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO',
+]);
+
+const HEADER_SCAN_ROWS = 30;
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Nomes de coluna já vistos nas planilhas da PRF e nas extrações de PDF, já normalizados
+// (sem acento, maiúsculos, só letras e números). A ordem importa: colunas específicas de km
+// são testadas antes da coluna genérica com a faixa inteira.
+const COLUMN_ALIASES = [
+  ['uf', ['ESTADO', 'UF', 'SIGLA UF']],
+  ['road', ['RODOVIA', 'BR', 'RODOVIA BR', 'N BR']],
+  ['kmStart', ['KM INICIAL', 'KM INICIO', 'KM INI', 'INICIO', 'KM DE']],
+  ['kmEnd', ['KM FINAL', 'KM FIM', 'FIM', 'FINAL', 'KM ATE']],
+  ['kmRange', ['KM', 'TRECHO', 'SEGMENTO', 'EXTENSAO', 'KM INICIAL KM FINAL', 'KM INICIAL FINAL']],
+  ['notes', ['OBSERVACAO', 'OBSERVACOES', 'OBS', 'NOTA', 'NOTAS', 'OBSERVACAO PRF']],
+  ['direction', ['SENTIDO', 'SENTIDO DE FISCALIZACAO', 'SENTIDO DO TRAFEGO', 'DIRECAO']],
+  ['speedLimit', ['VELOCIDADE', 'VELOCIDADE MAXIMA', 'VELOCIDADE PERMITIDA', 'VELOCIDADE REGULAMENTADA', 'LIMITE', 'LIMITE DE VELOCIDADE', 'VEL MAX']],
+];
+
+export const normalizeHeader = (value) =>
+  String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+
+const matchColumn = (header) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return null;
+  for (const [column, aliases] of COLUMN_ALIASES) {
+    if (aliases.includes(normalized)) return column;
+  }
+  // "ESTADO (UF)" e "RODOVIA (BR)" viram "ESTADO UF" e "RODOVIA BR": aceita prefixos conhecidos.
+  for (const [column, aliases] of COLUMN_ALIASES) {
+    if (column === 'kmRange') continue;
+    if (aliases.some((alias) => normalized.startsWith(`${alias} `))) return column;
+  }
+  return null;
+};
+
+export const mapColumns = (row) => {
+  const columns = {};
+  row.forEach((cell, idx) => {
+    const column = matchColumn(cell);
+    if (column && columns[column] === undefined) columns[column] = idx;
+  });
+  const hasKm = columns.kmRange !== undefined || columns.kmStart !== undefined;
+  return columns.uf !== undefined && columns.road !== undefined && hasKm ? columns : null;
+};
+
+export const normalizeRoad = (value) => {
+  const digits = String(value).replace(/[^\d]/g, '');
+  const cleaned = digits.length ? digits : String(value).trim();
+  return cleaned.padStart(3, '0');
+};
+
+// Aceita "90,0", "1.234,5", "km 12+500" (estaca: km + metros), "KM 100" e o "o" no lugar de zero.
+export const parseKm = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const cleaned = value
+    .toString()
+    .trim()
+    .replace(/^km\s*/i, '')
+    .replace(/[oO]/g, '0')
+    .replace(/\s+/g, '');
+  const stake = /^(\d+)\+(\d{1,3})$/.exec(cleaned);
+  if (stake) {
+    return Number.parseInt(stake[1], 10) + Number.parseInt(stake[2], 10) / 1000;
+  }
+  if (!/^\d[\d.,]*$/.test(cleaned)) return null;
+  const num = Number.parseFloat(cleaned.replace(/\./g, '').replace(',', '.'));
+  return Number.isFinite(num) ? num : null;
+};
+
+// Listas de radares fixos trazem o sentido como "Crescente"/"Decrescente", às vezes abreviado.
+// Vazio ou "ambos" vale para os dois sentidos e não vira atributo.
+const DIRECTIONS = [
+  ['crescente', ['CRESCENTE', 'CRESC', 'CRES', 'C']],
+  ['decrescente', ['DECRESCENTE', 'DECRESC', 'DECR', 'DEC', 'D']],
+];
+const BOTH_DIRECTIONS = ['', 'AMBOS', 'AMBOS OS SENTIDOS', 'DUPLO', 'AMBAS'];
+
+export const parseDirection = (value) => {
+  const normalized = normalizeHeader(value);
+  if (BOTH_DIRECTIONS.includes(normalized)) return null;
+  const match = DIRECTIONS.find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : undefined;
+};
+
+// "80", "80 km/h", "80km/h".
+export const parseSpeedLimit = (value) => {
+  const match = /^(\d{2,3})\s*(?:km\/?h)?$/i.exec(String(value ?? '').trim());
+  return match ? Number.parseInt(match[1], 10) : null;
+};
+
+const RANGE_SEPARATOR = /\s*[-–—]\s*|\s+(?:ao?|at[eé])\s+/i;
+
+// Faixas numa célula só: "100 - 110", "100,0 a 110,0", "km 12+500 ao km 15+000".
+export const parseKmRange = (value) => {
+  if (value === null || value === undefined) return null;
+  const parts = value
+    .toString()
+    .trim()
+    .split(RANGE_SEPARATOR)
+    .filter(Boolean);
+  if (parts.length !== 2) return null;
+  const [kmStart, kmEnd] = parts.map(parseKm);
+  return kmStart === null || kmEnd === null ? null : { kmStart, kmEnd };
+};
+
+const detectDelimiter = (text) => {
+  const lines = text.split(/\r?\n/).slice(0, HEADER_SCAN_ROWS);
+  const headerLine = lines.find((line) => /RODOVIA|\bBR\b/i.test(line) && /KM/i.test(line)) ?? lines[0] ?? '';
+  const counts = DELIMITER_CANDIDATES.map((delimiter) => headerLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return DELIMITER_CANDIDATES[best];
+};
+
+const readRows = async (filePath) => {
+  if (path.extname(filePath).toLowerCase() === '.xlsx') {
+    const rows = await readSheet(filePath);
+    return rows.map((cells, idx) => ({ line: idx + 1, cells }));
+  }
+  const text = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+  return parse(text, {
+    delimiter: detectDelimiter(text),
+    relax_column_count: true,
+    relax_quotes: true,
+    info: true,
+  }).map(({ record, info }) => ({ line: info.lines, cells: record }));
+};
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+const parseRow = (cells, columns) => {
+  const uf = cellText(cells[columns.uf]).toUpperCase();
+  if (!UF_CODES.has(uf)) return { reason: uf ? `UF inválida: "${uf}"` : 'UF ausente' };
+  const roadText = cellText(cells[columns.road]);
+  if (!/\d/.test(roadText)) return { reason: roadText ? `Rodovia inválida: "${roadText}"` : 'Rodovia ausente' };
+
+  let range = null;
+  const startText = columns.kmStart !== undefined ? cells[columns.kmStart] : null;
+  const endText = columns.kmEnd !== undefined ? cells[columns.kmEnd] : null;
+  if (cellText(startText) && cellText(endText)) {
+    const kmStart = parseKm(startText);
+    const kmEnd = parseKm(endText);
+    if (kmStart === null) return { reason: `Km inicial inválido: "${cellText(startText)}"` };
+    if (kmEnd === null) return { reason: `Km final inválido: "${cellText(endText)}"` };
+    range = { kmStart, kmEnd };
+  } else {
+    const rangeText = [columns.kmRange, columns.kmStart, columns.kmEnd]
+      .filter((idx) => idx !== undefined)
+      .map((idx) => cellText(cells[idx]))
+      .find(Boolean);
+    if (!rangeText) return { reason: 'Km ausente' };
+    range = parseKmRange(rangeText);
+    // Radar fixo: um km só na coluna genérica de km vira um ponto (kmStart igual a kmEnd).
+    const pointKm = !range && columns.kmRange !== undefined && rangeText === cellText(cells[columns.kmRange]) ? parseKm(rangeText) : null;
+    if (pointKm !== null) range = { kmStart: pointKm, kmEnd: pointKm, point: true };
+    if (!range) return { reason: `Faixa de km inválida: "${rangeText}"` };
+  }
+
+  const segment = { uf, road: normalizeRoad(roadText), kmStart: range.kmStart, kmEnd: range.kmEnd };
+  if (range.point) segment.kind = 'point';
+  const directionText = columns.direction !== undefined ? cellText(cells[columns.direction]) : '';
+  const direction = parseDirection(directionText);
+  if (direction === undefined) return { reason: `Sentido inválido: "${directionText}"` };
+  if (direction) segment.direction = direction;
+  const speedText = columns.speedLimit !== undefined ? cellText(cells[columns.speedLimit]) : '';
+  if (speedText) {
+    const speedLimit = parseSpeedLimit(speedText);
+    if (speedLimit === null) return { reason: `Velocidade inválida: "${speedText}"` };
+    segment.speedLimit = speedLimit;
+  }
+  const notes = columns.notes !== undefined ? cellText(cells[columns.notes]) : '';
+  if (notes) segment.notes = notes;
+  return { segment };
+};
+
+export const readReleaseFile = async (filePath) => {
+  const rows = await readRows(filePath);
+  const headerIdx = rows.slice(0, HEADER_SCAN_ROWS).findIndex(({ cells }) => mapColumns(cells));
+  if (headerIdx === -1) {
+    throw new Error(`Cabeçalho da planilha não encontrado em ${path.basename(filePath)}.`);
+  }
+  const columns = mapColumns(rows[headerIdx].cells);
+  const segments = [];
+  const rejected = [];
+  rows.slice(headerIdx + 1).forEach(({ line, cells }) => {
+    if (!cells.some((cell) => cellText(cell))) return;
+    const { segment, reason } = parseRow(cells, columns);
+    if (segment) {
+      segments.push(segment);
+    } else {
+      rejected.push({ line, reason, cells: cells.map(cellText) });
+    }
+  });
+  return { segments, rejected, columns };
+};
@@ -0,0 +1,125 @@
+import distance from '@turf/distance';
+
+// Marcos a mais de 300 m da linha são de outra via (marginal, acesso) ou estão mal posicionados.
+const MAX_SNAP_KM = 0.3;
+const MILESTONE_KM_PATTERN = /^(?:km\s*)?(\d+(?:[.,]\d+)?)$/i;
+const NAME_KM_PATTERN = /\bkm\s*(\d+(?:[.,]\d+)?)\b/i;
+
+// Quilômetro de um marco do OSM: tag distance (padrão do highway=milestone), km, ou "km 123" no nome.
+export const parseMilestoneKm = (tags = {}) => {
+  const raw = [tags.distance, tags.km].find((value) => value !== undefined && value !== null && value !== '');
+  const match = raw !== undefined ? MILESTONE_KM_PATTERN.exec(String(raw).trim()) : NAME_KM_PATTERN.exec(tags.name ?? '');
+  if (!match) return null;
+  const km = Number.parseFloat(match[1].replace(',', '.'));
+  return Number.isFinite(km) ? km : null;
+};
+
+// Projeta um ponto na linha (projeção local, suficiente para distâncias de centenas de metros) e devolve
+// a distância ao longo dela e o afastamento, em km. A linha vem em partes contínuas; a distância soma só
+// as partes, sem o salto entre o fim de uma e o começo da seguinte.
+const createSnapper = (runs) => {
+  const segments = [];
+  let offset = 0;
+  runs.forEach((coords) => {
+    for (let i = 1; i < coords.length; i += 1) {
+      const km = distance(coords[i - 1], coords[i], { units: 'kilometers' });
+      segments.push({ from: coords[i - 1], to: coords[i], startKm: offset, km });
+      offset += km;
+    }
+  });
+  return ([lon, lat]) => {
+    const kx = 111.32 * Math.cos((lat * Math.PI) / 180);
+    const ky = 110.57;
+    let best = null;
+    segments.forEach(({ from, to, startKm, km }) => {
+      const ax = (from[0] - lon) * kx;
+      const ay = (from[1] - lat) * ky;
+      const dx = (to[0] - lon) * kx - ax;
+      const dy = (to[1] - lat) * ky - ay;
+      const t = dx || dy ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy))) : 0;
+      const offsetKm = Math.hypot(ax + t * dx, ay + t * dy);
+      if (!best || offsetKm < best.offsetKm) {
+        best = { offsetKm, distanceKm: startKm + t * km };
+      }
+    });
+    return best;
+  };
+};
+
+// Maior subsequência com distância crescente ao longo da linha, na ordem dos km: o que sobra fora dela
+// contradiz os vizinhos (km digitado errado, marco da outra rodovia num trecho concorrente).
+const longestIncreasing = (items) => {
+  const lengths = items.map(() => 1);
+  const previous = items.map(() => -1);
+  items.forEach((item, i) => {
+    for (let j = 0; j < i; j += 1) {
+      if (items[j].distanceKm < item.distanceKm && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  });
+  const kept = new Set();
+  let idx = lengths.indexOf(Math.max(...lengths));
+  while (idx !== -1) {
+    kept.add(idx);
+    idx = previous[idx];
+  }
+  return kept;
+};
+
+// Interpolação linear por partes entre âncoras; fora delas, mantém a correção da âncora mais próxima.
+const interpolate = (anchors, value, from, to) => {
+  if (!anchors.length) return value;
+  const first = anchors[0];
+  const last = anchors[anchors.length - 1];
+  if (value <= first[from]) return value + first[to] - first[from];
+  if (value >= last[from]) return value + last[to] - last[from];
+  const idx = anchors.findIndex((anchor) => anchor[from] >= value);
+  const a = anchors[idx - 1];
+  const b = anchors[idx];
+  return a[to] + ((value - a[from]) / (b[from] - a[from])) * (b[to] - a[to]);
+};
+
+const round = (value) => Number(value.toFixed(2));
+
+// Tabela km oficial → distância ao longo da linha da UF (as partes contínuas dela, em ordem), a partir dos
+// marcos quilométricos. Sem marcos utilizáveis, o km vale como distância, como antes.
+export const buildCalibration = (runs, markers) => {
+  const snap = createSnapper(runs);
+  const rejected = [];
+  const byKm = new Map();
+  markers.forEach((marker) => {
+    const snapped = snap(marker.coordinates);
+    if (!snapped || snapped.offsetKm > MAX_SNAP_KM) {
+      rejected.push({ id: marker.id, km: marker.km, reason: 'longe da linha', offsetKm: snapped && round(snapped.offsetKm) });
+      return;
+    }
+    const candidate = { id: marker.id, km: marker.km, ...snapped };
+    const existing = byKm.get(marker.km);
+    if (existing && existing.offsetKm <= candidate.offsetKm) {
+      rejected.push({ id: marker.id, km: marker.km, reason: 'km repetido' });
+      return;
+    }
+    if (existing) rejected.push({ id: existing.id, km: existing.km, reason: 'km repetido' });
+    byKm.set(marker.km, candidate);
+  });
+
+  const sorted = [...byKm.values()].sort((a, b) => a.km - b.km);
+  const kept = longestIncreasing(sorted);
+  const anchors = sorted.filter((_, idx) => kept.has(idx));
+  const outOfOrder = sorted.filter((_, idx) => !kept.has(idx));
+  const toDistance = (km) => interpolate(anchors, km, 'km', 'distanceKm');
+  const toKm = (distanceKm) => interpolate(anchors, distanceKm, 'distanceKm', 'km');
+  outOfOrder.forEach((marker) => {
+    // Resíduo: quanto o marco discorda da tabela montada sem ele.
+    rejected.push({ id: marker.id, km: marker.km, reason: 'fora de ordem', residualKm: round(marker.distanceKm - toDistance(marker.km)) });
+  });
+
+  return {
+    toDistance,
+    toKm,
+    anchors: anchors.map(({ id, km, distanceKm }) => ({ id, km, distanceKm: round(distanceKm), correctionKm: round(distanceKm - km) })),
+    rejected,
+  };
+};
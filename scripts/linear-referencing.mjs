@@ -0,0 +1,291 @@
+import { lineString, multiLineString, point } from '@turf/helpers';
+import length from '@turf/length';
+import lineSliceAlong from '@turf/line-slice-along';
+import along from '@turf/along';
+import bearing from '@turf/bearing';
+import distance from '@turf/distance';
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+import { buildCalibration } from './km-calibration.mjs';
+
+// Marco zero oficial do DNIT para as radiais (BR-0xx).
+const BRASILIA_COORD = [-47.8825, -15.7942];
+const BORDER_BISECTION_STEPS = 16;
+export const MIN_STATE_RUN_KM = 0.2;
+
+// A quilometragem reinicia em cada divisa e cresce no sentido oficial da rodovia:
+// radiais a partir de Brasília, longitudinais norte→sul, transversais leste→oeste,
+// diagonais pares noroeste→sudeste e ímpares nordeste→sudoeste, ligações norte→sul.
+// A pontuação é maior no extremo onde fica o km 0.
+export const roadDirectionScore = (roadId) => {
+  const number = Number.parseInt(roadId, 10);
+  const family = Math.floor(number / 100);
+  if (family === 0) {
+    return (coord) => -distance(point(coord), point(BRASILIA_COORD), { units: 'kilometers' });
+  }
+  if (family === 2) return ([lon]) => lon;
+  if (family === 3) {
+    return number % 2 === 0 ? ([lon, lat]) => lat - lon : ([lon, lat]) => lat + lon;
+  }
+  return ([, lat]) => lat;
+};
+
+const findBorderCrossing = (outsideCoord, insideCoord, isInside) => {
+  let outside = outsideCoord;
+  let inside = insideCoord;
+  for (let i = 0; i < BORDER_BISECTION_STEPS; i += 1) {
+    const mid = [(outside[0] + inside[0]) / 2, (outside[1] + inside[1]) / 2];
+    if (isInside(mid)) {
+      inside = mid;
+    } else {
+      outside = mid;
+    }
+  }
+  return inside;
+};
+
+export const clipLineToState = (coords, state) => {
+  const isInside = (coord) => booleanPointInPolygon(coord, state);
+  const runs = [];
+  let current = null;
+  for (let i = 0; i < coords.length; i += 1) {
+    const coord = coords[i];
+    if (isInside(coord)) {
+      if (!current) {
+        current = i > 0 ? [findBorderCrossing(coords[i - 1], coord, isInside)] : [];
+        runs.push(current);
+      }
+      current.push(coord);
+    } else if (current) {
+      current.push(findBorderCrossing(coord, coords[i - 1], isInside));
+      current = null;
+    }
+  }
+  return runs.filter((run) => run.length >= 2);
+};
+
+// Linha da rodovia dentro da UF, orientada do km 0 para o fim, com a tabela de calibração dos marcos da UF.
+// Cada linha recebida é cortada na divisa, e as partes de todas entram na ordem do km 0 para o fim. Quando
+// a rodovia sai da UF e volta, as partes ficam separadas: a distância soma só o que está dentro, sem uma reta
+// ligando o ponto de saída ao de volta.
+export const buildStatePiece = ({ roadId, uf, lines, state, milestones = [] }) => {
+  const score = roadDirectionScore(roadId);
+  const runs = lines
+    .map((coords) =>
+      clipLineToState(coords, state).filter((run) => length(lineString(run), { units: 'kilometers' }) >= MIN_STATE_RUN_KM)
+    )
+    .filter((lineRuns) => lineRuns.length)
+    .map((lineRuns) => {
+      const last = lineRuns[lineRuns.length - 1];
+      return score(last[last.length - 1]) > score(lineRuns[0][0]) ? lineRuns.reverse().map((run) => run.reverse()) : lineRuns;
+    })
+    .sort((a, b) => score(b[0][0]) - score(a[0][0]))
+    .flat();
+  if (!runs.length) return null;
+  let startKm = 0;
+  const measured = runs.map((coords) => {
+    const line = lineString(coords);
+    const run = { line, startKm, lengthKm: length(line, { units: 'kilometers' }) };
+    startKm += run.lengthKm;
+    return run;
+  });
+  const properties = { road: `BR-${roadId}`, uf };
+  // Os marcos reiniciam em cada divisa, como a quilometragem; cada UF tem sua própria tabela.
+  const markers = milestones.filter((marker) => booleanPointInPolygon(marker.coordinates, state));
+  return {
+    feature: runs.length === 1 ? lineString(runs[0], properties) : multiLineString(runs, properties),
+    runs: measured,
+    lengthKm: startKm,
+    calibration: buildCalibration(runs, markers),
+  };
+};
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Ponto a uma distância (em km) ao longo da linha da UF.
+const pieceAlong = (piece, distanceKm) => {
+  const run = piece.runs.find((candidate) => distanceKm <= candidate.startKm + candidate.lengthKm) ?? piece.runs[piece.runs.length - 1];
+  return along(run.line, clamp(distanceKm - run.startKm, 0, run.lengthKm), { units: 'kilometers' });
+};
+
+// Corte entre duas distâncias da linha da UF: uma lista de linhas, uma por parte que o intervalo alcança.
+const slicePiece = (piece, start, end) =>
+  piece.runs
+    .filter((run) => run.startKm < end && run.startKm + run.lengthKm > start)
+    .map(
+      (run) =>
+        lineSliceAlong(run.line, Math.max(start - run.startKm, 0), Math.min(end - run.startKm, run.lengthKm), {
+          units: 'kilometers',
+        }).geometry.coordinates
+    )
+    .filter((coords) => coords.length >= 2);
+export const MAX_GAP_KM = 8;
+// Abaixo disso o corte não tem o que desenhar: o trecho cai todo fora da linha da UF.
+const MIN_SLICE_KM = 0.01;
+
+export const splitByGap = (coords) => {
+  if (!coords || coords.length < 2) return [];
+  const chunks = [];
+  let current = [coords[0]];
+  for (let i = 1; i < coords.length; i += 1) {
+    const prev = coords[i - 1];
+    const curr = coords[i];
+    const gap = distance(point(prev), point(curr), { units: 'kilometers' });
+    if (gap > MAX_GAP_KM) {
+      if (current.length > 1) chunks.push(current);
+      current = [curr];
+    } else {
+      current.push(curr);
+    }
+  }
+  if (current.length > 1) chunks.push(current);
+  return chunks;
+};
+
+export const buildGeometryFromChunks = (chunks) => {
+  if (!chunks.length) return null;
+  if (chunks.length === 1) {
+    return {
+      type: 'LineString',
+      coordinates: chunks[0],
+    };
+  }
+  return {
+    type: 'MultiLineString',
+    coordinates: chunks,
+  };
+};
+
+// Rumo do tráfego num km: a linha da UF cresce no sentido do km, então "decrescente" é o rumo oposto.
+const BEARING_STEP_KM = 0.05;
+export const travelBearing = (piece, km, direction) => {
+  const from = pieceAlong(piece, clamp(km - BEARING_STEP_KM, 0, piece.lengthKm));
+  const to = pieceAlong(piece, clamp(km + BEARING_STEP_KM, 0, piece.lengthKm));
+  const forward = (bearing(from, to) + 360) % 360;
+  return Math.round(direction === 'decrescente' ? (forward + 180) % 360 : forward);
+};
+
+// Mesma regra do featureId do cliente: o sentido e o radar fixo entram no id porque o mesmo km pode
+// aparecer nos dois sentidos, ou como trecho e como radar.
+export const trechoId = (props) =>
+  [props.uf, props.roadNumber, props.kmStart, props.kmEnd, props.kind === 'point' ? 'radar' : null, props.direction]
+    .filter((part) => part !== null && part !== undefined)
+    .join('-');
+
+// Id publicado de cada trecho (mapa, blocos de render, ?trecho=): o trechoId, com os km da planilha, e o
+// número da repetição quando a mesma linha aparece mais de uma vez (por exemplo, km 20–10 e 10–20).
+export const assignTrechoIds = (features) => {
+  const seen = new Map();
+  return features.map((feature) => {
+    const base = trechoId(feature.properties);
+    const count = (seen.get(base) ?? 0) + 1;
+    seen.set(base, count);
+    return { ...feature, properties: { ...feature.properties, id: count === 1 ? base : `${base}-${count}` } };
+  });
+};
+
+// Corta um trecho na linha da UF, ou posiciona o radar fixo nela. Devolve a feição (null quando a UF não
+// tem geometria ou o trecho cai todo fora da linha) e o registro do trecho no relatório de qualidade.
+// Os km publicados são sempre os da planilha; o que a linha não cobre fica registrado em clampedKm.
+export const sliceSegment = (piece, segment) => {
+  const report = {
+    uf: segment.uf,
+    road: `BR-${segment.road}`,
+    kmStart: segment.kmStart,
+    kmEnd: segment.kmEnd,
+    ...(segment.kind ? { kind: segment.kind } : {}),
+    ...(segment.direction ? { direction: segment.direction } : {}),
+    skipped: false,
+    clamped: false,
+    clampedKm: 0,
+    fallbackGenerated: false,
+    gapSplits: 0,
+  };
+  const skip = (reason) => {
+    report.skipped = true;
+    report.skipReason = reason;
+    return { feature: null, report };
+  };
+  if (!piece) return skip('sem geometria na UF');
+  const { lengthKm: totalLength, calibration } = piece;
+  const attributes = {
+    ...(segment.direction ? { direction: segment.direction } : {}),
+    ...(segment.speedLimit ? { speedLimit: segment.speedLimit } : {}),
+  };
+  const history = {
+    firstSeen: segment.firstSeen,
+    lastSeen: segment.lastSeen,
+    releases: segment.releases,
+    ...(segment.notes ? { notes: segment.notes } : {}),
+  };
+  // Radar fixo: um ponto sobre a rodovia no km informado, com o rumo do tráfego fiscalizado.
+  // Posições ao longo da linha vêm da tabela de calibração; sem marcos, o km vale como distância.
+  if (segment.kind === 'point') {
+    const position = calibration.toDistance(segment.kmStart);
+    if (position < 0 || position > totalLength) return skip('fora da linha');
+    const feature = {
+      type: 'Feature',
+      geometry: pieceAlong(piece, position).geometry,
+      properties: {
+        kind: 'point',
+        uf: segment.uf,
+        road: `BR-${segment.road}`,
+        roadNumber: segment.road,
+        kmStart: segment.kmStart,
+        kmEnd: segment.kmEnd,
+        lengthKm: 0,
+        ...attributes,
+        ...(segment.direction ? { bearing: travelBearing(piece, position, segment.direction) } : {}),
+        ...history,
+      },
+    };
+    return { feature, report };
+  }
+  const kmStart = Math.min(segment.kmStart, segment.kmEnd);
+  const kmEnd = Math.max(segment.kmStart, segment.kmEnd);
+  const rawStart = calibration.toDistance(kmStart);
+  const rawEnd = calibration.toDistance(kmEnd);
+  const start = clamp(rawStart, 0, totalLength);
+  const end = clamp(rawEnd, 0, totalLength);
+  // Trecho todo além do fim da linha (ou, com a calibração, todo antes do início): não há o que desenhar,
+  // e um segmento degenerado não seria visto nem encontrado pela rota ou pelo alerta de proximidade.
+  if (end - start < MIN_SLICE_KM && rawEnd - rawStart >= MIN_SLICE_KM) return skip('fora da linha');
+  if (start !== rawStart || end !== rawEnd) {
+    report.clamped = true;
+    report.clampedKm = Number((rawEnd - rawStart - (end - start)).toFixed(2));
+  }
+  let lines = slicePiece(piece, start, end);
+  if (!lines.length) {
+    report.fallbackGenerated = true;
+    const delta = Math.max(0.05, Math.min(1, totalLength * 0.01));
+    let fallbackStart = clamp(start - delta / 2, 0, totalLength);
+    let fallbackEnd = clamp(end + delta / 2, 0, totalLength);
+    if (fallbackStart === fallbackEnd) {
+      if (fallbackEnd >= totalLength) {
+        fallbackStart = Math.max(0, totalLength - delta);
+      } else {
+        fallbackEnd = Math.min(totalLength, fallbackEnd + delta);
+      }
+    }
+    lines = slicePiece(piece, fallbackStart, fallbackEnd);
+  }
+  // Cada parte da UF vira uma linha; dentro de uma parte, saltos maiores que MAX_GAP_KM também separam.
+  const chunks = lines.flatMap((coords) => {
+    const split = splitByGap(coords);
+    report.gapSplits += Math.max(split.length - 1, 0);
+    return split.length ? split : [coords];
+  });
+  const feature = {
+    type: 'Feature',
+    geometry: buildGeometryFromChunks(chunks),
+    properties: {
+      uf: segment.uf,
+      road: `BR-${segment.road}`,
+      roadNumber: segment.road,
+      kmStart,
+      kmEnd,
+      lengthKm: Number((end - start).toFixed(2)),
+      ...attributes,
+      ...history,
+    },
+  };
+  return { feature, report };
+};
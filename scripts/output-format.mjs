@@ -0,0 +1,153 @@
+import { lineString } from '@turf/helpers';
+import simplify from '@turf/simplify';
+import { topology } from 'topojson-server';
+
+// ~5 m: abaixo de um pixel no zoom máximo em que o mapa mostra a geometria completa. Os blocos de
+// data/render/ cuidam dos zooms menores.
+export const OUTPUT_TOLERANCE = 0.00005;
+// 5 casas decimais ≈ 1 m.
+export const OUTPUT_PRECISION = 5;
+// Grade da TopoJSON: 1e6 posições na extensão dos dados (~4 m no Brasil inteiro).
+const TOPOJSON_QUANTIZATION = 1e6;
+
+const featureLines = (geometry) => {
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+};
+
+const toKey = ([lon, lat]) => `${lon},${lat}`;
+
+// Junções, como na TopoJSON: pontas de linha e vértices cujos vizinhos mudam de uma linha para outra
+// (onde dois trechos sobrepostos se separam). Cortando ali, o pedaço comum a dois trechos é
+// simplificado igual nos dois e eles continuam encostando.
+const findJunctions = (lines) => {
+  const neighbours = new Map();
+  const junctions = new Set();
+  lines.forEach((line) => {
+    line.forEach((coord, idx) => {
+      const key = toKey(coord);
+      if (idx === 0 || idx === line.length - 1) {
+        junctions.add(key);
+        return;
+      }
+      const pair = [toKey(line[idx - 1]), toKey(line[idx + 1])].sort().join('|');
+      if (!neighbours.has(key)) neighbours.set(key, pair);
+      else if (neighbours.get(key) !== pair) junctions.add(key);
+    });
+  });
+  return junctions;
+};
+
+const simplifyPiece = (piece, tolerance) => {
+  if (piece.length <= 2) return piece;
+  // Mesma orientação para o mesmo pedaço, venha ele de um trecho ou do outro.
+  const reversed = toKey(piece[0]) > toKey(piece[piece.length - 1]);
+  const oriented = reversed ? [...piece].reverse() : piece;
+  const simplified = simplify(lineString(oriented), { tolerance, highQuality: false }).geometry.coordinates;
+  return reversed ? simplified.reverse() : simplified;
+};
+
+const roundCoord = ([lon, lat], precision) => [Number(lon.toFixed(precision)), Number(lat.toFixed(precision))];
+
+const compactOnce = (features, tolerance, precision) => {
+  const junctions = findJunctions(features.flatMap((feature) => featureLines(feature.geometry)));
+  const compactLine = (line) => {
+    const pieces = [];
+    let start = 0;
+    line.forEach((coord, idx) => {
+      if (idx > start && junctions.has(toKey(coord))) {
+        pieces.push(line.slice(start, idx + 1));
+        start = idx;
+      }
+    });
+    const simplified = pieces.flatMap((piece, idx) => simplifyPiece(piece, tolerance).slice(idx ? 1 : 0));
+    const rounded = simplified.map((coord) => roundCoord(coord, precision));
+    return rounded.filter((coord, idx) => idx === 0 || toKey(coord) !== toKey(rounded[idx - 1]));
+  };
+  return features.map((feature) => {
+    if (feature.geometry.type === 'Point') {
+      return { ...feature, geometry: { type: 'Point', coordinates: roundCoord(feature.geometry.coordinates, precision) } };
+    }
+    const lines = featureLines(feature.geometry).map(compactLine).filter((line) => line.length >= 2);
+    if (!lines.length) return feature;
+    return {
+      ...feature,
+      geometry: lines.length === 1 ? { type: 'LineString', coordinates: lines[0] } : { type: 'MultiLineString', coordinates: lines },
+    };
+  });
+};
+
+const countCoords = (features) =>
+  features.reduce((acc, feature) => acc + featureLines(feature.geometry).reduce((sum, line) => sum + line.length, 0), 0);
+
+// Simplifica e arredonda as linhas de todas as feições juntas, preservando os pontos compartilhados.
+// Repete até estabilizar (o arredondamento pode abrir espaço para mais um corte), para que o build
+// incremental, que reaproveita a saída anterior, chegue à mesma geometria de um build completo.
+export const compactFeatures = (features, { tolerance = OUTPUT_TOLERANCE, precision = OUTPUT_PRECISION } = {}) => {
+  let current = features;
+  let count = countCoords(current);
+  for (let pass = 0; pass < 5; pass += 1) {
+    const next = compactOnce(current, tolerance, precision);
+    const nextCount = countCoords(next);
+    current = next;
+    if (nextCount === count) break;
+    count = nextCount;
+  }
+  return current;
+};
+
+// O mapa, os blocos de render e o ?trecho= indexam as feições pelo id; um id repetido esconde uma delas.
+export const assertUniqueIds = (features, label) => {
+  const seen = new Set();
+  const repeated = new Set();
+  features.forEach(({ properties: { id } }) => (seen.has(id) ? repeated.add(id) : seen.add(id)));
+  if (repeated.size) {
+    throw new Error(`${label}: ${repeated.size} ids repetidos (${[...repeated].slice(0, 5).join(', ')}).`);
+  }
+};
+
+// Trechos e corredores na mesma topologia: o corredor reaproveita os arcos dos seus trechos.
+export const buildTopology = (trechos, corridors) =>
+  topology(
+    {
+      trechos: { type: 'FeatureCollection', features: trechos },
+      corredores: { type: 'FeatureCollection', features: corridors },
+    },
+    TOPOJSON_QUANTIZATION
+  );
+
+const summarize = (features, keyOf) => {
+  const groups = new Map();
+  features.forEach((feature) => {
+    const key = keyOf(feature.properties);
+    const group = groups.get(key) ?? { trechos: 0, km: 0 };
+    group.trechos += 1;
+    group.km += feature.properties.lengthKm ?? 0;
+    groups.set(key, group);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, 'pt-BR', { numeric: true }))
+    .map(([key, { trechos, km }]) => [key, { trechos, km: Number(km.toFixed(2)) }]);
+};
+
+// Índice pequeno para a interface preencher os filtros antes da geometria chegar. As listas cobrem
+// todas as releases (como os selects); as contagens são da release mais recente.
+export const buildOutputIndex = (features, corridors, latestReleaseId, files) => {
+  const inLatest = (feature) => !feature.properties.releases || feature.properties.releases.includes(latestReleaseId);
+  const latestFeatures = features.filter(inLatest);
+  const latestByUf = new Map(summarize(latestFeatures, ({ uf }) => uf));
+  const latestByRoad = new Map(summarize(latestFeatures, ({ road }) => road));
+  const empty = { trechos: 0, km: 0 };
+  return {
+    latest: latestReleaseId,
+    totals: {
+      trechos: latestFeatures.length,
+      km: Number(latestFeatures.reduce((acc, feature) => acc + (feature.properties.lengthKm ?? 0), 0).toFixed(2)),
+      corredores: corridors.filter(inLatest).length,
+    },
+    ufs: summarize(features, ({ uf }) => uf).map(([uf]) => ({ uf, ...(latestByUf.get(uf) ?? empty) })),
+    roads: summarize(features, ({ road }) => road).map(([road]) => ({ road, ...(latestByRoad.get(road) ?? empty) })),
+    files,
+  };
+};
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { execFile, spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { parseArgs, promisify } from 'node:util';
+
+// Gera os dados, confere e publica em docs/data/ com nomes versionados pelo conteúdo: a página lê
+// latest.json (sempre revalidado) e, a partir dele, arquivos que nunca mudam de conteúdo.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, '..');
+const BUILD_DIR = path.join(ROOT_DIR, 'public', 'data');
+const SITE_DATA_DIR = path.join(ROOT_DIR, 'docs', 'data');
+const LATEST_PATH = path.join(SITE_DATA_DIR, 'latest.json');
+const TEST_DIR = path.join(ROOT_DIR, 'test');
+const HASH_LENGTH = 10;
+// Arquivos do build que a página usa; a TopoJSON só existe com --topojson.
+const PUBLISHED_FILES = [
+  'index.json',
+  'trechos.geojson',
+  'corridors.geojson',
+  'states.geojson',
+  'network.geojson',
+  'network-stats.json',
+  'build-manifest.json',
+];
+const OPTIONAL_FILES = ['trechos.topojson'];
+const RENDER_DIR = 'render';
+// trechos.1a2b3c4d5e.geojson, render-1a2b3c4d5e: o que o publish gera e pode apagar depois.
+const HASHED_NAME_PATTERN = new RegExp(`^[\\w-]+[.-][0-9a-f]{${HASH_LENGTH}}(?:\\.\\w+)?$`);
+
+const { values: cliOptions, positionals: buildArgs } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'skip-build': { type: 'boolean', default: false },
+    'skip-tests': { type: 'boolean', default: false },
+  },
+});
+
+const execFileAsync = promisify(execFile);
+
+const run = (args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { cwd: ROOT_DIR, stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`${args.join(' ')} terminou com código ${code}.`))));
+  });
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf8'));
+const fileExists = (filePath) =>
+  fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+const hashBuffers = (buffers) => {
+  const hash = createHash('sha256');
+  buffers.forEach((buffer) => hash.update(buffer));
+  return hash.digest('hex').slice(0, HASH_LENGTH);
+};
+const hashedName = (name, hash) => {
+  const ext = path.extname(name);
+  return `${path.basename(name, ext)}.${hash}${ext}`;
+};
+
+const listFiles = async (dir) =>
+  (await fs.readdir(dir, { recursive: true, withFileTypes: true }))
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)))
+    .sort();
+
+const gitCommit = async () => {
+  try {
+    const { stdout: sha } = await execFileAsync('git', ['rev-parse', 'HEAD'], { cwd: ROOT_DIR });
+    const { stdout: status } = await execFileAsync('git', ['status', '--porcelain', '--', 'scripts', 'data'], { cwd: ROOT_DIR });
+    return { sha: sha.trim(), dirty: status.trim().length > 0 };
+  } catch {
+    return null;
+  }
+};
+
+if (!cliOptions['skip-build']) {
+  console.log('Gerando os dados...');
+  // O build já falha quando a qualidade das geometrias fica abaixo dos limites.
+  await run([path.join(__dirname, 'build-trechos.mjs'), ...buildArgs]);
+}
+if (!cliOptions['skip-tests']) {
+  console.log('Rodando os testes...');
+  const testFiles = (await fs.readdir(TEST_DIR)).filter((name) => name.endsWith('.test.mjs')).map((name) => path.join(TEST_DIR, name));
+  await run(['--test', ...testFiles]);
+}
+
+const missing = [];
+for (const name of PUBLISHED_FILES) {
+  if (!(await fileExists(path.join(BUILD_DIR, name)))) missing.push(name);
+}
+if (!(await fileExists(path.join(BUILD_DIR, RENDER_DIR, 'index.json')))) missing.push(`${RENDER_DIR}/index.json`);
+if (missing.length) {
+  throw new Error(`Build incompleto em ${BUILD_DIR}: faltam ${missing.join(', ')}.`);
+}
+const outputIndex = await readJson(path.join(BUILD_DIR, 'index.json'));
+const buildManifest = await readJson(path.join(BUILD_DIR, 'build-manifest.json'));
+const releasesInfo = await readJson(path.join(BUILD_DIR, 'releases.json'));
+if (!outputIndex.totals.trechos) {
+  throw new Error('O build não gerou nenhum trecho; nada foi publicado.');
+}
+
+await fs.mkdir(SITE_DATA_DIR, { recursive: true });
+const files = {};
+for (const name of [...PUBLISHED_FILES, ...OPTIONAL_FILES]) {
+  const source = path.join(BUILD_DIR, name);
+  if (!(await fileExists(source))) continue;
+  const content = await fs.readFile(source);
+  files[name] = hashedName(name, hashBuffers([content]));
+  await fs.writeFile(path.join(SITE_DATA_DIR, files[name]), content);
+}
+
+// Os blocos de render vão juntos numa pasta só, versionada pelo conteúdo de todos eles.
+const renderSource = path.join(BUILD_DIR, RENDER_DIR);
+const renderFiles = await listFiles(renderSource);
+const renderContents = await Promise.all(renderFiles.map((name) => fs.readFile(path.join(renderSource, name))));
+const renderHash = hashBuffers(renderFiles.flatMap((name, idx) => [name, renderContents[idx]]));
+files[`${RENDER_DIR}/`] = `${RENDER_DIR}-${renderHash}/`;
+await fs.cp(renderSource, path.join(SITE_DATA_DIR, `${RENDER_DIR}-${renderHash}`), { recursive: true });
+
+const metadata = {
+  release: outputIndex.latest,
+  releases: releasesInfo.releases.map(({ id }) => id),
+  generatedAt: buildManifest.generatedAt,
+  commit: await gitCommit(),
+  counts: {
+    trechos: outputIndex.totals.trechos,
+    km: outputIndex.totals.km,
+    corredores: outputIndex.totals.corredores,
+    rodovias: outputIndex.roads.filter(({ trechos }) => trechos > 0).length,
+    ufs: outputIndex.ufs.filter(({ trechos }) => trechos > 0).length,
+  },
+};
+const metadataContent = JSON.stringify(metadata, null, 2);
+const metadataFile = hashedName('metadata.json', hashBuffers([metadataContent]));
+await fs.writeFile(path.join(SITE_DATA_DIR, metadataFile), metadataContent);
+
+const previousLatest = (await fileExists(LATEST_PATH)) ? await readJson(LATEST_PATH) : null;
+await fs.writeFile(LATEST_PATH, JSON.stringify({ metadata: metadataFile, files }, null, 2));
+
+// Fica também a publicação anterior: quem abriu a página antes dela ainda busca blocos pelos nomes antigos.
+const referenced = (latest) => (latest ? [latest.metadata, ...Object.values(latest.files)].map((name) => name.replace(/\/$/, '')) : []);
+const keep = new Set([...referenced({ metadata: metadataFile, files }), ...referenced(previousLatest)]);
+const stale = (await fs.readdir(SITE_DATA_DIR)).filter((name) => HASHED_NAME_PATTERN.test(name) && !keep.has(name));
+await Promise.all(stale.map((name) => fs.rm(path.join(SITE_DATA_DIR, name), { recursive: true, force: true })));
+
+const commitLabel = metadata.commit ? `${metadata.commit.sha.slice(0, 7)}${metadata.commit.dirty ? ' (com alterações locais)' : ''}` : 'sem git';
+console.log(
+  `Publicado em ${SITE_DATA_DIR}: lista ${metadata.release}, ${metadata.counts.trechos} trechos, ` +
+    `${metadata.counts.km} km, commit ${commitLabel}` +
+    (stale.length ? `; ${stale.length} arquivos de publicações antigas removidos` : '')
+);
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { normalizeRoad, parseKm, parseKmRange } from './ingest.mjs';
+import { featureLines, haversineKm, matchRoute, parseTrack, projectOnSegment } from '../docs/route-matching.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_PATH = path.resolve(__dirname, '..', 'public', 'data', 'trechos.geojson');
+const DEFAULT_RADIUS_KM = 20;
+const DEFAULT_LIMIT = 20;
+
+const USAGE = `Uso: node scripts/query-trechos.mjs <comando> [opções]
+
+Comandos:
+  busca  --uf BA --br 116 [--km 512 | --km 500-520]
+         Trechos da UF/BR; com --km, só os que cobrem o km ou a faixa.
+  perto  --lat -12.97 --lon -38.5 [--raio 20] [--limite 20]
+         Trechos a até --raio km do ponto, do mais perto para o mais longe.
+  resumo [--por uf|br|br-uf]
+         Quantidade de trechos e km fiscalizados por grupo.
+  rota   arquivo.gpx [--tolerancia 0.25]
+         Trechos percorridos por uma rota GPX ou GeoJSON, na ordem da viagem.
+
+Opções gerais:
+  --dados caminho    GeoJSON gerado pelo build (padrão: public/data/trechos.geojson)
+  --release AAAA-MM  release consultada (padrão: a mais recente)
+  --formato tabela|json|csv (padrão: tabela)
+
+Sai com código 1 quando a consulta não encontra nada e 2 em erro de uso (útil em scripts).`;
+
+// "--lat -12.97": o parseArgs toma o valor negativo por outra opção, então junta os dois como "--lat=-12.97".
+const argv = process.argv.slice(2).reduce((acc, token) => {
+  const previous = acc[acc.length - 1];
+  if (/^-\d/.test(token) && previous?.startsWith('--') && !previous.includes('=')) acc[acc.length - 1] = `${previous}=${token}`;
+  else acc.push(token);
+  return acc;
+}, []);
+
+const { values: options, positionals } = parseArgs({
+  args: argv,
+  allowPositionals: true,
+  options: {
+    dados: { type: 'string', default: DEFAULT_DATA_PATH },
+    release: { type: 'string' },
+    formato: { type: 'string', default: 'tabela' },
+    uf: { type: 'string' },
+    br: { type: 'string' },
+    km: { type: 'string' },
+    lat: { type: 'string' },
+    lon: { type: 'string' },
+    raio: { type: 'string', default: String(DEFAULT_RADIUS_KM) },
+    limite: { type: 'string', default: String(DEFAULT_LIMIT) },
+    por: { type: 'string', default: 'uf' },
+    tolerancia: { type: 'string', default: '0.25' },
+    ajuda: { type: 'boolean', short: 'h', default: false },
+  },
+});
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(2);
+};
+
+const [command, ...args] = positionals;
+if (options.ajuda || !command) {
+  console.log(USAGE);
+  process.exit(options.ajuda ? 0 : 2);
+}
+if (!['tabela', 'json', 'csv'].includes(options.formato)) fail(`Formato desconhecido: ${options.formato} (use tabela, json ou csv).`);
+
+const parseNumber = (value, name) => {
+  const num = Number.parseFloat(String(value).replace(',', '.'));
+  if (!Number.isFinite(num)) fail(`Valor inválido para --${name}: ${value}`);
+  return num;
+};
+
+const loadFeatures = async () => {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(options.dados, 'utf8'));
+  } catch (error) {
+    fail(`Não foi possível ler ${options.dados} (${error.message}). Rode antes: npm run build:trechos`);
+  }
+  const features = data.features ?? [];
+  const releaseIds = [...new Set(features.flatMap((feature) => feature.properties.releases ?? []))].sort();
+  const release = options.release ?? releaseIds[releaseIds.length - 1];
+  if (options.release && !releaseIds.includes(options.release)) {
+    fail(`Release ${options.release} não encontrada; disponíveis: ${releaseIds.join(', ') || 'nenhuma'}`);
+  }
+  return {
+    release,
+    features: features.filter((feature) => !release || !feature.properties.releases || feature.properties.releases.includes(release)),
+  };
+};
+
+const describeFeature = ({ properties: props }) => ({
+  uf: props.uf,
+  road: props.road,
+  kmStart: props.kmStart,
+  kmEnd: props.kmEnd,
+  lengthKm: props.lengthKm,
+  kind: props.kind ?? 'trecho',
+  direction: props.direction ?? null,
+  speedLimit: props.speedLimit ?? null,
+  firstSeen: props.firstSeen ?? null,
+});
+
+const TRECHO_COLUMNS = [
+  ['uf', 'UF'],
+  ['road', 'BR'],
+  ['kmStart', 'Km inicial'],
+  ['kmEnd', 'Km final'],
+  ['lengthKm', 'Extensão (km)'],
+  ['kind', 'Tipo'],
+  ['direction', 'Sentido'],
+  ['speedLimit', 'Vel. máx.'],
+  ['firstSeen', 'Na lista desde'],
+];
+
+const byRoadAndKm = (a, b) =>
+  a.properties.uf.localeCompare(b.properties.uf) ||
+  a.properties.road.localeCompare(b.properties.road) ||
+  a.properties.kmStart - b.properties.kmStart;
+
+const lookup = (features) => {
+  const uf = options.uf?.trim().toUpperCase();
+  const road = options.br ? `BR-${normalizeRoad(options.br)}` : null;
+  let range = null;
+  if (options.km) {
+    const km = parseKm(options.km);
+    range = km !== null ? { kmStart: km, kmEnd: km } : parseKmRange(options.km);
+    if (!range) fail(`Km ou faixa de km inválida: ${options.km}`);
+  }
+  const rows = features
+    .filter(({ properties: props }) => (!uf || props.uf === uf) && (!road || props.road === road))
+    .filter(({ properties: props }) => {
+      if (!range) return true;
+      const low = Math.min(range.kmStart, range.kmEnd);
+      const high = Math.max(range.kmStart, range.kmEnd);
+      return props.kmStart <= high && props.kmEnd >= low;
+    })
+    .sort(byRoadAndKm)
+    .map(describeFeature);
+  const where = [road, uf].filter(Boolean).join('/') || 'todas as rodovias';
+  const what = range ? ` no km ${options.km}` : '';
+  return {
+    columns: TRECHO_COLUMNS,
+    rows,
+    footer: rows.length ? `${rows.length} trechos fiscalizados em ${where}${what}.` : `Nenhum trecho fiscalizado em ${where}${what}.`,
+    found: rows.length > 0,
+  };
+};
+
+// Distância do ponto à feição: projeção plana local, boa para raios de algumas dezenas de km.
+const distanceToFeature = (feature, position) => {
+  let best = Infinity;
+  featureLines(feature.geometry).forEach((line) => {
+    if (line.length === 1) best = Math.min(best, haversineKm(position, line[0]));
+    for (let i = 0; i < line.length - 1; i += 1) best = Math.min(best, projectOnSegment(position, line[i], line[i + 1]).distKm);
+  });
+  return best;
+};
+
+const nearby = (features) => {
+  if (options.lat === undefined || options.lon === undefined) fail('Informe --lat e --lon.');
+  const position = [parseNumber(options.lon, 'lon'), parseNumber(options.lat, 'lat')];
+  const radiusKm = parseNumber(options.raio, 'raio');
+  const limit = parseNumber(options.limite, 'limite');
+  const rows = features
+    .map((feature) => ({ feature, distanceKm: distanceToFeature(feature, position) }))
+    .filter(({ distanceKm }) => distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit)
+    .map(({ feature, distanceKm }) => ({ distanceKm: Number(distanceKm.toFixed(2)), ...describeFeature(feature) }));
+  return {
+    columns: [['distanceKm', 'Distância (km)'], ...TRECHO_COLUMNS],
+    rows,
+    footer: `${rows.length} trechos a até ${radiusKm} km de ${position[1]}, ${position[0]}.`,
+    found: rows.length > 0,
+  };
+};
+
+const GROUPINGS = {
+  uf: { label: 'UF', keyOf: (props) => props.uf },
+  br: { label: 'BR', keyOf: (props) => props.road },
+  'br-uf': { label: 'BR/UF', keyOf: (props) => `${props.road}/${props.uf}` },
+};
+
+const summary = (features) => {
+  const grouping = GROUPINGS[options.por];
+  if (!grouping) fail(`Agrupamento desconhecido: ${options.por} (use uf, br ou br-uf).`);
+  const groups = new Map();
+  features.forEach(({ properties: props }) => {
+    const key = grouping.keyOf(props);
+    const group = groups.get(key) ?? { key, trechos: 0, radares: 0, km: 0 };
+    if (props.kind === 'point') group.radares += 1;
+    else group.trechos += 1;
+    group.km += props.lengthKm ?? 0;
+    groups.set(key, group);
+  });
+  const rows = [...groups.values()]
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map((group) => ({ ...group, km: Number(group.km.toFixed(2)) }));
+  const totalKm = rows.reduce((acc, row) => acc + row.km, 0);
+  return {
+    columns: [
+      ['key', grouping.label],
+      ['trechos', 'Trechos'],
+      ['radares', 'Radares fixos'],
+      ['km', 'Km fiscalizados'],
+    ],
+    rows,
+    footer: `Total: ${features.length} registros, ${totalKm.toFixed(2)} km.`,
+    found: rows.length > 0,
+  };
+};
+
+// O parser de GPX do mapa usa o DOMParser do navegador; aqui basta ler os atributos dos pontos.
+const parseGpxPoints = (text) =>
+  [...text.matchAll(/<(?:trkpt|rtept)\b([^>]*)>/g)]
+    .map(([, attributes]) => {
+      const read = (name) => Number.parseFloat(new RegExp(`\\b${name}="([^"]+)"`).exec(attributes)?.[1]);
+      return [read('lon'), read('lat')];
+    })
+    .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
+
+const route = async (features) => {
+  const [trackPath] = args;
+  if (!trackPath) fail('Informe o arquivo da rota (GPX ou GeoJSON).');
+  const text = await fs.readFile(trackPath, 'utf8').catch((error) => fail(`Não foi possível ler ${trackPath}: ${error.message}`));
+  let coords;
+  try {
+    coords = /\.gpx$/i.test(trackPath) || text.trimStart().startsWith('<') ? parseGpxPoints(text) : parseTrack(text, trackPath);
+  } catch (error) {
+    fail(error.message);
+  }
+  if (coords.length < 2) fail('A rota precisa ter pelo menos dois pontos.');
+  const { totalKm, matches } = matchRoute(coords, features, { toleranceKm: parseNumber(options.tolerancia, 'tolerancia') });
+  const rows = matches.map(({ feature, entryKm, exitKm }) => ({
+    entryKm: Number(entryKm.toFixed(2)),
+    exitKm: Number(exitKm.toFixed(2)),
+    ...describeFeature(feature),
+  }));
+  const monitoredKm = rows.reduce((acc, row) => acc + row.lengthKm, 0);
+  return {
+    columns: [['entryKm', 'Na rota, km'], ['exitKm', 'até km'], ...TRECHO_COLUMNS],
+    rows,
+    footer: `Rota de ${totalKm.toFixed(1)} km passa por ${rows.length} trechos (${monitoredKm.toFixed(1)} km fiscalizados).`,
+    found: rows.length > 0,
+  };
+};
+
+const COMMANDS = { busca: lookup, perto: nearby, resumo: summary, rota: route };
+
+const formatCell = (value) => (value === null || value === undefined ? '' : String(value));
+
+const escapeCsv = (value) => {
+  const text = formatCell(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const printTable = (columns, rows) => {
+  const widths = columns.map(([key, label]) => Math.max(label.length, ...rows.map((row) => formatCell(row[key]).length)));
+  const line = (cells) =>
+    cells.map((cell, idx) => (typeof rows[0]?.[columns[idx][0]] === 'number' ? cell.padStart(widths[idx]) : cell.padEnd(widths[idx]))).join('  ');
+  console.log(line(columns.map(([, label]) => label)));
+  console.log(widths.map((width) => '-'.repeat(width)).join('  '));
+  rows.forEach((row) => console.log(line(columns.map(([key]) => formatCell(row[key])))));
+};
+
+const run = COMMANDS[command];
+if (!run) fail(`Comando desconhecido: ${command}\n\n${USAGE}`);
+const { release, features } = await loadFeatures();
+const { columns, rows, footer, found } = await run(features);
+
+if (options.formato === 'json') {
+  console.log(JSON.stringify(rows, null, 2));
+} else if (options.formato === 'csv') {
+  console.log(columns.map(([key]) => key).join(','));
+  rows.forEach((row) => console.log(columns.map(([key]) => escapeCsv(row[key])).join(',')));
+} else {
+  if (rows.length) printTable(columns, rows);
+  console.log(`${rows.length ? '\n' : ''}${footer}${release ? ` (release ${release})` : ''}`);
+}
+process.exitCode = found ? 0 : 1;
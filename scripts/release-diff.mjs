@@ -0,0 +1,81 @@
+// AAAA-MM[-DD].csv, com sufixo opcional para outras listas da mesma data: 2025-11.fixos.csv.
+export const RELEASE_FILE_PATTERN = /^(\d{4}-\d{2}(?:-\d{2})?)(?:\.[\w-]+)?\.(?:csv|xlsx)$/;
+
+// Radar fixo e sentido fazem parte da identidade: o mesmo km nos dois sentidos são dois registros.
+export const segmentKey = (seg) =>
+  [seg.uf, seg.road, seg.kmStart, seg.kmEnd, seg.kind === 'point' ? 'ponto' : null, seg.direction]
+    .filter((part) => part !== null && part !== undefined)
+    .join('|');
+
+const describe = (seg) => ({
+  uf: seg.uf,
+  road: `BR-${seg.road}`,
+  kmStart: seg.kmStart,
+  kmEnd: seg.kmEnd,
+  ...(seg.kind ? { kind: seg.kind } : {}),
+  ...(seg.direction ? { direction: seg.direction } : {}),
+});
+
+const overlaps = (a, b) =>
+  Math.min(a.kmStart, a.kmEnd) < Math.max(b.kmStart, b.kmEnd) &&
+  Math.min(b.kmStart, b.kmEnd) < Math.max(a.kmStart, a.kmEnd);
+
+// Une as releases em uma lista única de trechos, guardando em quais releases cada um aparece.
+export const mergeReleases = (releases) => {
+  const byKey = new Map();
+  releases.forEach(({ id, segments }) => {
+    segments.forEach((seg) => {
+      const key = segmentKey(seg);
+      if (!byKey.has(key)) byKey.set(key, { ...seg, releases: [] });
+      const merged = byKey.get(key);
+      if (!merged.releases.includes(id)) merged.releases.push(id);
+    });
+  });
+  return [...byKey.values()].map((seg) => ({
+    ...seg,
+    firstSeen: seg.releases[0],
+    lastSeen: seg.releases[seg.releases.length - 1],
+  }));
+};
+
+// Trechos removidos e adicionados na mesma UF/BR com faixas de km sobrepostas contam como alterados.
+export const diffReleases = (from, to) => {
+  const fromKeys = new Map(from.segments.map((seg) => [segmentKey(seg), seg]));
+  const toKeys = new Map(to.segments.map((seg) => [segmentKey(seg), seg]));
+  let added = [...toKeys].filter(([key]) => !fromKeys.has(key)).map(([, seg]) => seg);
+  let removed = [...fromKeys].filter(([key]) => !toKeys.has(key)).map(([, seg]) => seg);
+  const changed = [];
+  removed = removed.filter((oldSeg) => {
+    const match = added.find((newSeg) => newSeg.uf === oldSeg.uf && newSeg.road === oldSeg.road && overlaps(oldSeg, newSeg));
+    if (!match) return true;
+    added = added.filter((seg) => seg !== match);
+    changed.push({ uf: oldSeg.uf, road: `BR-${oldSeg.road}`, from: describe(oldSeg), to: describe(match) });
+    return false;
+  });
+
+  const byUf = {};
+  const byRoad = {};
+  const tally = (kind, uf, road) => {
+    [
+      [byUf, uf],
+      [byRoad, road],
+    ].forEach(([bucket, key]) => {
+      bucket[key] ??= { added: 0, removed: 0, changed: 0 };
+      bucket[key][kind] += 1;
+    });
+  };
+  added.forEach((seg) => tally('added', seg.uf, `BR-${seg.road}`));
+  removed.forEach((seg) => tally('removed', seg.uf, `BR-${seg.road}`));
+  changed.forEach((change) => tally('changed', change.uf, change.road));
+
+  return {
+    from: from.id,
+    to: to.id,
+    totals: { added: added.length, removed: removed.length, changed: changed.length },
+    byUf,
+    byRoad,
+    added: added.map(describe),
+    removed: removed.map(describe),
+    changed,
+  };
+};
@@ -0,0 +1,68 @@
+import { lineString } from '@turf/helpers';
+import simplify from '@turf/simplify';
+import bbox from '@turf/bbox';
+
+// Grade fixa no zoom 6 (blocos de ~600 km): poucos arquivos, e cada feição vai inteira para
+// todos os blocos que a sua caixa toca, sem recorte na borda.
+export const RENDER_TILE_ZOOM = 6;
+
+// Níveis de detalhe: até maxZoom o cliente usa a geometria simplificada com essa tolerância (graus).
+export const RENDER_LODS = [
+  { maxZoom: 6, tolerance: 0.01, precision: 3 },
+  { maxZoom: 9, tolerance: 0.002, precision: 4 },
+  { maxZoom: 12, tolerance: 0.0004, precision: 5 },
+  { maxZoom: 22, tolerance: 0, precision: 6 },
+];
+
+const tileX = (lon) => Math.floor(((lon + 180) / 360) * 2 ** RENDER_TILE_ZOOM);
+const tileY = (lat) => {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** RENDER_TILE_ZOOM);
+};
+
+const featureLines = (geometry) => {
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+};
+
+const roundCoord = ([lon, lat], precision) => [Number(lon.toFixed(precision)), Number(lat.toFixed(precision))];
+
+const simplifyLine = (line, { tolerance, precision }) => {
+  const coords = tolerance ? simplify(lineString(line), { tolerance }).geometry.coordinates : line;
+  const rounded = coords.map((coord) => roundCoord(coord, precision));
+  return rounded.filter((coord, idx) => idx === 0 || coord[0] !== rounded[idx - 1][0] || coord[1] !== rounded[idx - 1][1]);
+};
+
+// Gera os blocos de uma camada (trechos ou corredores). Cada bloco é { features: [[id, linhas], ...] };
+// as propriedades ficam no GeoJSON principal e o cliente liga as duas coisas pelo id. Um radar fixo
+// (Point) vai como uma "linha" de um vértice só.
+export const buildRenderTiles = (features, idOf) => {
+  const tiles = new Map();
+  features.forEach((feature) => {
+    const isPoint = feature.geometry.type === 'Point';
+    const lines = isPoint ? [[feature.geometry.coordinates]] : featureLines(feature.geometry).filter((line) => line.length >= 2);
+    if (!lines.length) return;
+    const [west, south, east, north] = bbox(feature);
+    const id = idOf(feature.properties);
+    const lodLines = RENDER_LODS.map((lod) =>
+      isPoint
+        ? [[roundCoord(lines[0][0], RENDER_LODS[RENDER_LODS.length - 1].precision)]]
+        : lines.map((line) => simplifyLine(line, lod)).filter((line) => line.length >= 2)
+    );
+    for (let x = tileX(west); x <= tileX(east); x += 1) {
+      for (let y = tileY(north); y <= tileY(south); y += 1) {
+        RENDER_LODS.forEach((_, lod) => {
+          const key = `${lod}/${x}/${y}`;
+          if (!tiles.has(key)) tiles.set(key, []);
+          tiles.get(key).push([id, lodLines[lod]]);
+        });
+      }
+    }
+  });
+  const tileKeys = [...new Set([...tiles.keys()].map((key) => key.split('/').slice(1).join('/')))].sort();
+  return {
+    index: { tileZoom: RENDER_TILE_ZOOM, lods: RENDER_LODS.map(({ maxZoom }) => ({ maxZoom })), tiles: tileKeys },
+    tiles,
+  };
+};
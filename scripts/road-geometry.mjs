@@ -0,0 +1,429 @@
+import { lineString } from '@turf/helpers';
+import length from '@turf/length';
+import distance from '@turf/distance';
+
+// Pontas a até 15 km de outro pedaço são ligadas em linha reta (buracos no OSM, balsas).
+export const MAX_STITCH_GAP_KM = 15;
+// Ways só com ref=BR-xxx, fora da relação, custam mais: entram para cobrir buracos, não para encurtar o caminho.
+const REF_WAY_PENALTY = 1.5;
+// Pedaços que correm a até 250 m da linha principal em 80% da extensão são a outra pista ou trecho repetido.
+const PARALLEL_TOLERANCE_KM = 0.25;
+const PARALLEL_SHARE = 0.8;
+const PARALLEL_SAMPLES = 10;
+const PARALLEL_CELL_DEG = 0.01;
+// Abaixo disso, o que sobra ligado à rodovia é alça ou acesso, não ramal.
+const MIN_BRANCH_KM = 1;
+const MEMBER_ROLES = new Set(['', 'forward', 'backward']);
+const ONEWAY_VALUES = new Set(['yes', 'true', '1']);
+
+const toKey = ([lon, lat]) => `${lon.toFixed(5)},${lat.toFixed(5)}`;
+const approxEqual = (a, b) => toKey(a) === toKey(b);
+const lineKm = (coords) => length(lineString(coords), { units: 'kilometers' });
+
+// Sentido de percurso de um membro: o papel na relação manda; sem papel, vale a tag oneway da via.
+const orientMember = (way, role = '') => {
+  if (role === 'forward') return { coords: way.coords, oneway: true };
+  if (role === 'backward') return { coords: [...way.coords].reverse(), oneway: true };
+  const oneway = way.tags?.oneway;
+  if (oneway === '-1') return { coords: [...way.coords].reverse(), oneway: true };
+  return { coords: way.coords, oneway: ONEWAY_VALUES.has(oneway) || way.tags?.junction === 'roundabout' };
+};
+
+const extendChain = (chain, next) => {
+  const end = chain.coords[chain.coords.length - 1];
+  let coords = null;
+  if (approxEqual(next.coords[0], end)) coords = next.coords;
+  else if (!next.oneway && approxEqual(next.coords[next.coords.length - 1], end)) coords = [...next.coords].reverse();
+  else if (chain.members === 1 && !chain.oneway) {
+    // O primeiro membro sem sentido definido pode ter vindo ao contrário.
+    const start = chain.coords[0];
+    if (approxEqual(next.coords[0], start)) coords = next.coords;
+    else if (!next.oneway && approxEqual(next.coords[next.coords.length - 1], start)) coords = [...next.coords].reverse();
+    if (coords) chain.coords.reverse();
+  }
+  if (!coords) return false;
+  coords.slice(1).forEach((coord) => chain.coords.push(coord));
+  chain.oneway = chain.oneway || next.oneway;
+  chain.members += 1;
+  return true;
+};
+
+// Percorre os membros na ordem da relação, emendando os que se tocam no sentido de percurso. Um membro
+// de mão única que não continua a cadeia é da outra pista: vira cadeia própria sem interromper a atual.
+const walkRelation = (relation, waysById) => {
+  const chains = [];
+  const seen = new Set();
+  let current = null;
+  for (const member of relation.members ?? []) {
+    if (member.type !== 'way' || !MEMBER_ROLES.has(member.role ?? '') || seen.has(member.ref)) continue;
+    const way = waysById.get(member.ref);
+    if (!way) continue;
+    seen.add(member.ref);
+    const next = orientMember(way, member.role);
+    if (current && extendChain(current, next)) continue;
+    if (current && next.oneway) {
+      chains.push({ coords: next.coords.slice(), oneway: true, members: 1 });
+      continue;
+    }
+    if (current) chains.push(current);
+    current = { coords: next.coords.slice(), oneway: next.oneway, members: 1 };
+  }
+  if (current) chains.push(current);
+  return chains;
+};
+
+// Corta as cadeias nos vértices internos onde outra cadeia começa ou termina (entroncamentos, fim de pista dupla).
+const splitAtJunctions = (chains) => {
+  const endpoints = new Set(chains.flatMap(({ coords }) => [toKey(coords[0]), toKey(coords[coords.length - 1])]));
+  return chains.flatMap((chain) => {
+    const pieces = [];
+    let start = 0;
+    chain.coords.forEach((coord, idx) => {
+      if (idx > start && (idx === chain.coords.length - 1 || endpoints.has(toKey(coord)))) {
+        pieces.push({ ...chain, coords: chain.coords.slice(start, idx + 1) });
+        start = idx;
+      }
+    });
+    return pieces;
+  });
+};
+
+const createGraph = (chains) => {
+  const nodes = new Map();
+  const edges = [];
+  const nodeFor = (coord) => {
+    const key = toKey(coord);
+    if (!nodes.has(key)) nodes.set(key, { key, coord, edges: [] });
+    return nodes.get(key);
+  };
+  const addEdge = ({ coords, oneway, penalty = 1, gap = false }) => {
+    const from = nodeFor(coords[0]);
+    const to = nodeFor(coords[coords.length - 1]);
+    if (from === to) return;
+    const km = lineKm(coords);
+    const edge = { id: edges.length, from, to, coords, km, weight: km * penalty, oneway, gap };
+    edges.push(edge);
+    from.edges.push(edge);
+    to.edges.push(edge);
+  };
+  chains.forEach(addEdge);
+  return { nodes, edges, addEdge };
+};
+
+// Arestas que saem de um nó: no sentido da via, ou contra ele quando é mão dupla (ou quando o sentido é ignorado).
+const outgoing = (node, { directed }) =>
+  node.edges.flatMap((edge) => {
+    if (edge.from === node) return [{ edge, next: edge.to, forward: true }];
+    if (!directed || !edge.oneway) return [{ edge, next: edge.from, forward: false }];
+    return [];
+  });
+
+const createHeap = () => {
+  const items = [];
+  const swap = (i, j) => ([items[i], items[j]] = [items[j], items[i]]);
+  return {
+    size: () => items.length,
+    push: (value, priority) => {
+      items.push({ value, priority });
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].priority <= items[i].priority) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop: () => {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        while (true) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+          if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+};
+
+const shortestPaths = (source, options) => {
+  const dist = new Map([[source, 0]]);
+  const prev = new Map();
+  const heap = createHeap();
+  heap.push(source, 0);
+  while (heap.size()) {
+    const { value: node, priority } = heap.pop();
+    if (priority > dist.get(node)) continue;
+    for (const step of outgoing(node, options)) {
+      const candidate = priority + step.edge.weight;
+      if (candidate >= (dist.get(step.next) ?? Infinity)) continue;
+      dist.set(step.next, candidate);
+      prev.set(step.next, { ...step, node });
+      heap.push(step.next, candidate);
+    }
+  }
+  return { dist, prev };
+};
+
+const farthest = ({ dist }) => [...dist.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+
+// Passos do caminho de source até target, na ordem de percurso.
+const pathTo = ({ prev }, source, target) => {
+  if (source !== target && !prev.has(target)) return null;
+  const steps = [];
+  for (let node = target; node !== source; node = prev.get(node).node) steps.unshift(prev.get(node));
+  return steps;
+};
+
+const reverseSteps = (steps) => steps.map((step) => ({ ...step, forward: !step.forward })).reverse();
+
+const stepsToCoords = (steps) => {
+  const coords = [];
+  steps.forEach(({ edge, forward }) => {
+    const edgeCoords = forward ? edge.coords : [...edge.coords].reverse();
+    edgeCoords.forEach((coord, idx) => {
+      if (idx || !coords.length) coords.push(coord);
+    });
+  });
+  return coords;
+};
+
+const components = (graph) => {
+  const componentOf = new Map();
+  let count = 0;
+  graph.nodes.forEach((node) => {
+    if (componentOf.has(node)) return;
+    const stack = [node];
+    componentOf.set(node, count);
+    while (stack.length) {
+      outgoing(stack.pop(), { directed: false }).forEach(({ next }) => {
+        if (componentOf.has(next)) return;
+        componentOf.set(next, count);
+        stack.push(next);
+      });
+    }
+    count += 1;
+  });
+  return componentOf;
+};
+
+// Liga cada ponta solta à ponta mais próxima de outro pedaço desconexo, dentro do limite.
+const bridgeGaps = (graph) => {
+  const componentOf = components(graph);
+  const terminals = [...graph.nodes.values()].filter((node) => node.edges.length === 1);
+  const bridged = new Set();
+  terminals.forEach((terminal) => {
+    let best = null;
+    terminals.forEach((other) => {
+      if (componentOf.get(other) === componentOf.get(terminal)) return;
+      const km = distance(terminal.coord, other.coord, { units: 'kilometers' });
+      if (km <= MAX_STITCH_GAP_KM && (!best || km < best.km)) best = { other, km };
+    });
+    if (!best) return;
+    const pairKey = [terminal.key, best.other.key].sort().join('|');
+    if (bridged.has(pairKey)) return;
+    bridged.add(pairKey);
+    graph.addEdge({ coords: [terminal.coord, best.other.coord], oneway: false, gap: true });
+  });
+};
+
+// Junta segmentos que se tocam nas pontas, sem olhar sentido: usado no que sobra fora da linha principal.
+export const joinAtEndpoints = (segmentsCoords) => {
+  const adjacency = new Map();
+  const addAdjacency = (coord, idx, atStart) => {
+    const key = toKey(coord);
+    if (!adjacency.has(key)) adjacency.set(key, []);
+    adjacency.get(key).push({ idx, atStart });
+  };
+  segmentsCoords.forEach((coords, idx) => {
+    addAdjacency(coords[0], idx, true);
+    addAdjacency(coords[coords.length - 1], idx, false);
+  });
+
+  const used = new Array(segmentsCoords.length).fill(false);
+  const takeNext = (coord) => {
+    const entries = adjacency.get(toKey(coord)) ?? [];
+    while (entries.length) {
+      const entry = entries.pop();
+      if (!used[entry.idx]) return entry;
+    }
+    return undefined;
+  };
+  const extendLine = (coords, atEnd) => {
+    while (true) {
+      const next = takeNext(atEnd ? coords[coords.length - 1] : coords[0]);
+      if (!next) break;
+      used[next.idx] = true;
+      const nextCoords = segmentsCoords[next.idx].slice();
+      if (atEnd) {
+        if (!next.atStart) nextCoords.reverse();
+        coords.push(...nextCoords.slice(1));
+      } else {
+        if (next.atStart) nextCoords.reverse();
+        coords.unshift(...nextCoords.slice(0, -1));
+      }
+    }
+  };
+
+  return segmentsCoords.flatMap((segment, idx) => {
+    if (used[idx]) return [];
+    used[idx] = true;
+    const coords = segment.slice();
+    extendLine(coords, true);
+    extendLine(coords, false);
+    return [coords];
+  });
+};
+
+// Distância aproximada (projeção local) de um ponto a um segmento, em km.
+const pointSegmentKm = ([lon, lat], [lon1, lat1], [lon2, lat2]) => {
+  const kx = 111.32 * Math.cos((lat * Math.PI) / 180);
+  const ky = 110.57;
+  const ax = (lon1 - lon) * kx;
+  const ay = (lat1 - lat) * ky;
+  const bx = (lon2 - lon) * kx;
+  const by = (lat2 - lat) * ky;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const t = dx || dy ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy))) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+const createNearLine = (coords) => {
+  const cells = new Map();
+  const cellKey = (x, y) => `${x}:${y}`;
+  for (let i = 1; i < coords.length; i += 1) {
+    const [lonA, latA] = coords[i - 1];
+    const [lonB, latB] = coords[i];
+    for (let x = Math.floor(Math.min(lonA, lonB) / PARALLEL_CELL_DEG); x <= Math.floor(Math.max(lonA, lonB) / PARALLEL_CELL_DEG); x += 1) {
+      for (let y = Math.floor(Math.min(latA, latB) / PARALLEL_CELL_DEG); y <= Math.floor(Math.max(latA, latB) / PARALLEL_CELL_DEG); y += 1) {
+        const key = cellKey(x, y);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+      }
+    }
+  }
+  // A tolerância (250 m) é menor que a célula (~1,1 km), então basta olhar as vizinhas.
+  return (coord) => {
+    const x = Math.floor(coord[0] / PARALLEL_CELL_DEG);
+    const y = Math.floor(coord[1] / PARALLEL_CELL_DEG);
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dy = -1; dy <= 1; dy += 1) {
+        const near = (cells.get(cellKey(x + dx, y + dy)) ?? []).some(
+          (i) => pointSegmentKm(coord, coords[i - 1], coords[i]) <= PARALLEL_TOLERANCE_KM
+        );
+        if (near) return true;
+      }
+    }
+    return false;
+  };
+};
+
+const isParallel = (coords, nearMain) => {
+  const samples = Math.min(PARALLEL_SAMPLES, coords.length);
+  let near = 0;
+  for (let i = 0; i < samples; i += 1) {
+    const idx = samples === 1 ? 0 : Math.round((i * (coords.length - 1)) / (samples - 1));
+    if (nearMain(coords[idx])) near += 1;
+  }
+  return near / samples >= PARALLEL_SHARE;
+};
+
+// Linha de referência para a quilometragem: o caminho entre as pontas mais distantes da rede, por uma pista só.
+// Primeiro acha as pontas sem olhar sentido; depois refaz o caminho respeitando mão única, o que mantém a linha
+// numa das pistas em rodovia duplicada. Se nenhum sentido liga as pontas (dados incompletos), ignora a mão única.
+const findMainPath = (first) => {
+  const a = farthest(shortestPaths(first, { directed: false }));
+  const b = farthest(shortestPaths(a, { directed: false }));
+  const forward = pathTo(shortestPaths(a, { directed: true }), a, b);
+  if (forward) return { steps: forward, directed: true };
+  const backward = pathTo(shortestPaths(b, { directed: true }), b, a);
+  if (backward) return { steps: reverseSteps(backward), directed: true };
+  return { steps: pathTo(shortestPaths(a, { directed: false }), a, b), directed: false };
+};
+
+// Monta a geometria de uma rodovia a partir do que a fonte devolveu. Com relação de rota, os membros são
+// encadeados na ordem e no sentido da relação, e ways soltas com a ref só cobrem buracos; sem relação, usa
+// as ways com a ref (inclusive as de numeração concorrente, "BR-101;BR-116"). A linha principal segue uma
+// pista só; a outra pista e os trechos repetidos ficam de fora, e ramais de verdade viram linhas à parte.
+// Pedaços que o OSM não liga à linha principal (buracos maiores que MAX_STITCH_GAP_KM) vêm em components.
+export const assembleRoadGeometry = ({ relations = [], ways = [] }) => {
+  const waysById = new Map(ways.map((way) => [way.id, way]));
+  const memberIds = new Set(
+    relations.flatMap((relation) => (relation.members ?? []).filter((member) => member.type === 'way').map((member) => member.ref))
+  );
+  const relationChains = relations.flatMap((relation) => walkRelation(relation, waysById));
+  const refChains = ways
+    .filter((way) => !memberIds.has(way.id))
+    .map((way) => ({ ...orientMember(way), penalty: relationChains.length ? REF_WAY_PENALTY : 1 }));
+  const chains = splitAtJunctions([...relationChains, ...refChains].filter(({ coords }) => coords.length >= 2));
+  if (!chains.length) return null;
+
+  const graph = createGraph(chains);
+  if (!graph.edges.length) return null;
+  bridgeGaps(graph);
+  // A linha principal sai do maior pedaço conexo. Os outros pedaços desconexos (buracos maiores que o limite
+  // de emenda) ganham a própria linha de referência; só os menores que um ramal ficam de fora.
+  const componentOf = components(graph);
+  const componentKm = new Map();
+  graph.edges.forEach((edge) => {
+    const component = componentOf.get(edge.from);
+    componentKm.set(component, (componentKm.get(component) ?? 0) + edge.km);
+  });
+  const ranked = [...componentKm.entries()].sort((a, b) => b[1] - a[1]).map(([component, km]) => ({ component, km }));
+  const pathOf = (component) => findMainPath(graph.edges.find((edge) => componentOf.get(edge.from) === component).from);
+  const { steps, directed } = pathOf(ranked[0].component);
+  const coords = stepsToCoords(steps);
+  if (coords.length < 2) return null;
+
+  const onPath = new Set(steps.map(({ edge }) => edge.id));
+  const nearLines = [createNearLine(coords)];
+  const nearMain = (coord) => nearLines.some((near) => near(coord));
+  const kept = new Set([ranked[0].component]);
+  const componentLines = [];
+  // Pedaço que corre junto de uma linha já aceita é a outra pista, não mais um pedaço da rodovia.
+  ranked
+    .slice(1)
+    .filter(({ km }) => km >= MIN_BRANCH_KM)
+    .forEach(({ component }) => {
+      kept.add(component);
+      const path = pathOf(component);
+      const line = stepsToCoords(path.steps);
+      if (line.length < 2 || isParallel(line, nearMain)) return;
+      componentLines.push(line);
+      nearLines.push(createNearLine(line));
+      path.steps.forEach(({ edge }) => onPath.add(edge.id));
+    });
+  const leftovers = graph.edges.filter((edge) => !edge.gap && !onPath.has(edge.id));
+  const inKept = (edge) => kept.has(componentOf.get(edge.from));
+  // Cada aresta é classificada antes de juntar, para a outra pista não arrastar junto um ramal que sai dela.
+  const branches = joinAtEndpoints(
+    leftovers.filter((edge) => inKept(edge) && !isParallel(edge.coords, nearMain)).map((edge) => edge.coords)
+  )
+    .map((piece) => ({ coords: piece, km: lineKm(piece) }))
+    .filter((branch) => branch.km >= MIN_BRANCH_KM);
+  const dropped = joinAtEndpoints(leftovers.filter((edge) => !inKept(edge)).map((edge) => edge.coords)).map(lineKm);
+  branches.sort((x, y) => y.km - x.km);
+
+  return {
+    coords,
+    lengthKm: lineKm(coords),
+    components: componentLines,
+    componentLengthKm: componentLines.reduce((acc, line) => acc + lineKm(line), 0),
+    branches: branches.map((branch) => branch.coords),
+    branchLengthKm: branches.reduce((acc, branch) => acc + branch.km, 0),
+    droppedComponents: dropped.length,
+    droppedLengthKm: dropped.reduce((acc, km) => acc + km, 0),
+    assembly: relationChains.length ? 'relation' : 'ways',
+    directed,
+  };
+};
@@ -0,0 +1,328 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import osmread from 'osm-read';
+
+export const OVERPASS_ENDPOINTS = [
+  'https://overpass-api.de/api/interpreter',
+  'https://overpass.kumi.systems/api/interpreter',
+];
+
+const BR_REF_PATTERN = /^BR-(\d{3})$/;
+// Trechos de numeração concorrente levam as duas refs ("BR-101;BR-116") e pertencem às duas rodovias.
+const refFilter = (roadId) => `["ref"~"(^|;) *BR-${roadId} *(;|$)"]`;
+const MILESTONE_TAGS = new Set(['milestone', 'distance_marker']);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const validCoords = (coords) =>
+  coords.filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
+
+const fetchOverpass = async (query, endpoints, attempt = 1, endpointIndex = 0) => {
+  const endpoint = endpoints[endpointIndex % endpoints.length];
+  const url = `${endpoint}?data=${encodeURIComponent(query)}`;
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    if (endpointIndex < endpoints.length - 1) {
+      console.warn(`Erro de rede (${error.message}) usando ${endpoint}. Tentando endpoint alternativo...`);
+      return fetchOverpass(query, endpoints, attempt, endpointIndex + 1);
+    }
+    if (attempt >= 5) {
+      throw new Error(`Erro de rede ao consultar Overpass: ${error.message}`);
+    }
+    const waitMs = Math.min(30000, attempt * 4000);
+    console.warn(`Erro de rede (${error.message}) no Overpass. Retentando em ${Math.round(waitMs / 1000)}s...`);
+    await sleep(waitMs);
+    return fetchOverpass(query, endpoints, attempt + 1, 0);
+  }
+  if (response.status === 429) {
+    const retryAfterHeader = response.headers.get('retry-after');
+    const retrySeconds = retryAfterHeader ? Number.parseInt(retryAfterHeader, 10) : 10;
+    const backoffMs = Math.min(60000, (retrySeconds || 10) * 1000 * attempt);
+    console.warn(`Overpass limit atingido. Nova tentativa em ${Math.round(backoffMs / 1000)}s...`);
+    await sleep(backoffMs);
+    return fetchOverpass(query, endpoints, attempt + 1, endpointIndex + 1);
+  }
+  if (response.status >= 500 && attempt < 5) {
+    const waitMs = Math.min(30000, attempt * 5000);
+    console.warn(`Erro ${response.status} do Overpass. Tentando novamente em ${Math.round(waitMs / 1000)}s...`);
+    await sleep(waitMs);
+    return fetchOverpass(query, endpoints, attempt + 1, endpointIndex + 1);
+  }
+  if (!response.ok) {
+    throw new Error(`Falha no Overpass: ${response.status} ${response.statusText}`);
+  }
+  try {
+    return await response.json();
+  } catch (error) {
+    if (attempt >= 5 && endpointIndex >= endpoints.length - 1) {
+      throw new Error(`Resposta inválida do Overpass: ${error.message}`);
+    }
+    const waitMs = Math.min(30000, attempt * 4000);
+    console.warn(`Resposta inválida do Overpass (${error.message}). Tentando novamente em ${Math.round(waitMs / 1000)}s...`);
+    await sleep(waitMs);
+    return fetchOverpass(query, endpoints, attempt + 1, endpointIndex + 1);
+  }
+};
+
+const fixtureFileName = (query) => `${createHash('sha1').update(query).digest('hex')}.json`;
+
+// Consultas e normalização compartilhadas pelo Overpass ao vivo e pelas respostas gravadas.
+const loadRoadFromOverpass = async (roadId, runQuery) => {
+  const relations = [];
+  const ways = [];
+  const milestones = [];
+  const seenWayIds = new Set();
+  const collect = (payload) => {
+    for (const element of payload.elements ?? []) {
+      if (element.type === 'node') {
+        if (Number.isFinite(element.lon) && Number.isFinite(element.lat)) {
+          milestones.push({ id: element.id, coordinates: [element.lon, element.lat], tags: element.tags ?? {} });
+        }
+        continue;
+      }
+      if (element.type === 'relation') {
+        relations.push({ id: element.id, tags: element.tags ?? {}, members: element.members ?? [] });
+        continue;
+      }
+      if (element.type !== 'way' || !element.geometry || seenWayIds.has(element.id)) continue;
+      const coords = validCoords(element.geometry.map((pt) => [pt.lon, pt.lat]));
+      if (coords.length < 2) continue;
+      seenWayIds.add(element.id);
+      ways.push({ id: element.id, tags: element.tags ?? {}, coords });
+    }
+  };
+
+  const relationQuery = `[out:json][timeout:900];rel["route"="road"]${refFilter(roadId)};out body;way(r);out geom;`;
+  try {
+    collect(await runQuery(relationQuery));
+  } catch (error) {
+    console.warn(`Falha ao montar geometria da BR-${roadId} via relação: ${error.message}`);
+  }
+
+  const fallbackQuery = `[out:json][timeout:900];way["highway"]${refFilter(roadId)};out geom;`;
+  try {
+    collect(await runQuery(fallbackQuery));
+  } catch (error) {
+    console.warn(`Fallback via ways falhou para BR-${roadId}: ${error.message}`);
+  }
+
+  // Marcos quilométricos sobre as vias da rodovia ou com a ref dela, para calibrar a quilometragem.
+  const milestoneQuery =
+    `[out:json][timeout:900];(rel["route"="road"]${refFilter(roadId)};way(r);way["highway"]${refFilter(roadId)};)->.road;` +
+    `(node(w.road)["highway"~"^(milestone|distance_marker)$"];node["highway"~"^(milestone|distance_marker)$"]${refFilter(roadId)};);out;`;
+  try {
+    collect(await runQuery(milestoneQuery));
+  } catch (error) {
+    console.warn(`Marcos quilométricos indisponíveis para BR-${roadId}: ${error.message}`);
+  }
+
+  return { relations, ways, milestones };
+};
+
+export const createOverpassProvider = ({ endpoints = OVERPASS_ENDPOINTS, recordDir } = {}) => ({
+  name: 'overpass',
+  source: 'OpenStreetMap / Overpass API',
+  throttle: true,
+  loadRoad: (roadId) =>
+    loadRoadFromOverpass(roadId, async (query) => {
+      const payload = await fetchOverpass(query, endpoints);
+      if (recordDir) {
+        await fs.mkdir(recordDir, { recursive: true });
+        await fs.writeFile(path.join(recordDir, fixtureFileName(query)), JSON.stringify({ query, payload }));
+      }
+      return payload;
+    }),
+});
+
+export const createFixtureProvider = ({ dir }) => ({
+  name: 'fixtures',
+  source: `OpenStreetMap / respostas gravadas do Overpass (${path.basename(dir)})`,
+  throttle: false,
+  loadRoad: (roadId) =>
+    loadRoadFromOverpass(roadId, async (query) => {
+      const filePath = path.join(dir, fixtureFileName(query));
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch {
+        throw new Error(`Resposta gravada não encontrada (${path.basename(filePath)})`);
+      }
+      return JSON.parse(content).payload;
+    }),
+});
+
+const linesFromGeometry = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(linesFromGeometry);
+  return [];
+};
+
+export const createGeojsonProvider = ({ dir }) => ({
+  name: 'geojson',
+  source: `GeoJSON local (${path.basename(dir)})`,
+  throttle: false,
+  loadRoad: async (roadId) => {
+    const filePath = path.join(dir, `BR-${roadId}.geojson`);
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch {
+      return { relations: [], ways: [], milestones: [] };
+    }
+    const parsed = JSON.parse(content);
+    const features = parsed.type === 'FeatureCollection' ? parsed.features : [parsed];
+    // Pontos no mesmo arquivo são marcos quilométricos (propriedade distance ou km).
+    const milestones = features
+      .filter((feature) => feature.geometry?.type === 'Point')
+      .map((feature, idx) => ({
+        id: feature.id ?? `geojson-${roadId}-marco-${idx}`,
+        coordinates: feature.geometry.coordinates,
+        tags: feature.properties ?? {},
+      }));
+    const ways = features
+      .flatMap((feature) => linesFromGeometry(feature.geometry ?? feature))
+      .map((coords) => validCoords(coords))
+      .filter((coords) => coords.length >= 2)
+      .map((coords, idx) => ({ id: `geojson-${roadId}-${idx}`, tags: {}, coords }));
+    return { relations: [], ways, milestones };
+  },
+});
+
+const scanOsmFile = (filePath, handlers) =>
+  new Promise((resolve, reject) => {
+    osmread.parse({
+      filePath,
+      format: filePath.endsWith('.pbf') ? 'pbf' : 'xml',
+      node: handlers.node ?? (() => {}),
+      way: handlers.way ?? (() => {}),
+      relation: handlers.relation ?? (() => {}),
+      endDocument: resolve,
+      error: (message) => reject(new Error(`Falha ao ler ${path.basename(filePath)}: ${message}`)),
+    });
+  });
+
+const roadIdsFromRef = (ref) =>
+  (ref ?? '')
+    .split(';')
+    .map((part) => BR_REF_PATTERN.exec(part.trim())?.[1])
+    .filter(Boolean);
+
+// Um extrato do Brasil não cabe em memória como grafo completo, então o arquivo é lido
+// em três passagens: relações, ways com ref de BR e marcos quilométricos, ways-membro das relações e, por fim,
+// apenas as coordenadas dos nós usados. O índice resultante atende todas as rodovias.
+const indexOsmExtract = async (filePath) => {
+  const relationsByRoad = new Map();
+  const waysById = new Map();
+  const directWaysByRoad = new Map();
+  const memberWayIds = new Set();
+  const milestonesById = new Map();
+  const milestonesByRoad = new Map();
+  const pushTo = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  await scanOsmFile(filePath, {
+    node: (node) => {
+      if (!MILESTONE_TAGS.has(node.tags?.highway)) return;
+      milestonesById.set(node.id, { id: node.id, coordinates: [node.lon, node.lat], tags: node.tags });
+      roadIdsFromRef(node.tags.ref).forEach((roadId) => pushTo(milestonesByRoad, roadId, node.id));
+    },
+    way: (way) => {
+      const roadIds = roadIdsFromRef(way.tags?.ref);
+      if (!roadIds.length || !way.tags?.highway) return;
+      waysById.set(way.id, { id: way.id, tags: way.tags, nodeRefs: way.nodeRefs });
+      roadIds.forEach((roadId) => pushTo(directWaysByRoad, roadId, way.id));
+    },
+    relation: (relation) => {
+      const roadIds = roadIdsFromRef(relation.tags?.ref);
+      if (!roadIds.length || relation.tags?.route !== 'road') return;
+      roadIds.forEach((roadId) =>
+        pushTo(relationsByRoad, roadId, { id: relation.id, tags: relation.tags, members: relation.members })
+      );
+      relation.members.filter((member) => member.type === 'way').forEach((member) => memberWayIds.add(member.ref));
+    },
+  });
+
+  const missingMembers = [...memberWayIds].filter((id) => !waysById.has(id));
+  if (missingMembers.length) {
+    const wanted = new Set(missingMembers);
+    await scanOsmFile(filePath, {
+      way: (way) => {
+        if (wanted.has(way.id)) waysById.set(way.id, { id: way.id, tags: way.tags, nodeRefs: way.nodeRefs });
+      },
+    });
+  }
+
+  const nodeCoords = new Map();
+  waysById.forEach((way) => way.nodeRefs.forEach((ref) => nodeCoords.set(ref, null)));
+  await scanOsmFile(filePath, {
+    node: (node) => {
+      if (nodeCoords.has(node.id)) nodeCoords.set(node.id, [node.lon, node.lat]);
+    },
+  });
+  waysById.forEach((way) => {
+    way.coords = validCoords(way.nodeRefs.map((ref) => nodeCoords.get(ref)).filter(Boolean));
+    const milestoneIds = way.nodeRefs.filter((ref) => milestonesById.has(ref));
+    if (milestoneIds.length) way.milestoneIds = milestoneIds;
+    delete way.nodeRefs;
+  });
+
+  return { relationsByRoad, waysById, directWaysByRoad, milestonesById, milestonesByRoad };
+};
+
+export const createOsmExtractProvider = ({ file }) => {
+  let indexPromise;
+  return {
+    name: 'osm',
+    source: `OpenStreetMap / extrato local (${path.basename(file)})`,
+    throttle: false,
+    loadRoad: async (roadId) => {
+      if (!indexPromise) {
+        console.log(`Indexando extrato OSM ${file}...`);
+        indexPromise = indexOsmExtract(file);
+      }
+      const { relationsByRoad, waysById, directWaysByRoad, milestonesById, milestonesByRoad } = await indexPromise;
+      const relations = relationsByRoad.get(roadId) ?? [];
+      const wayIds = new Set([
+        ...relations.flatMap((relation) =>
+          relation.members.filter((member) => member.type === 'way').map((member) => member.ref)
+        ),
+        ...(directWaysByRoad.get(roadId) ?? []),
+      ]);
+      const ways = [...wayIds]
+        .map((id) => waysById.get(id))
+        .filter((way) => way && way.coords.length >= 2);
+      const milestoneIds = new Set([
+        ...ways.flatMap((way) => way.milestoneIds ?? []),
+        ...(milestonesByRoad.get(roadId) ?? []),
+      ]);
+      return { relations, ways, milestones: [...milestoneIds].map((id) => milestonesById.get(id)) };
+    },
+  };
+};
+
+export const ROAD_PROVIDERS = ['overpass', 'osm', 'geojson', 'fixtures'];
+
+export const createRoadProvider = (name, { sourcePath, recordDir } = {}) => {
+  if (name !== 'overpass' && !sourcePath) {
+    throw new Error(`A fonte "${name}" exige --source-path.`);
+  }
+  switch (name) {
+    case 'overpass':
+      return createOverpassProvider({ recordDir });
+    case 'osm':
+      return createOsmExtractProvider({ file: sourcePath });
+    case 'geojson':
+      return createGeojsonProvider({ dir: sourcePath });
+    case 'fixtures':
+      return createFixtureProvider({ dir: sourcePath });
+    default:
+      throw new Error(`Fonte de geometria desconhecida: ${name} (opções: ${ROAD_PROVIDERS.join(', ')})`);
+  }
+};
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { gzipSync } from 'node:zlib';
+import { normalizeRoad, parseKm, parseKmRange, UF_CODES } from './ingest.mjs';
+import { createGridIndex } from './spatial-index.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', 'public', 'data');
+// Respostas iguais enquanto o build não muda: o cliente revalida com ETag depois de um minuto.
+const CACHE_CONTROL = 'public, max-age=60';
+const MAX_CACHED_RESPONSES = 200;
+
+const { values: cliOptions } = parseArgs({
+  options: {
+    porta: { type: 'string', default: '8787' },
+    host: { type: 'string', default: '127.0.0.1' },
+    dados: { type: 'string', default: DEFAULT_DATA_DIR },
+  },
+});
+const DATA_DIR = path.resolve(cliOptions.dados);
+const TRECHOS_PATH = path.join(DATA_DIR, 'trechos.geojson');
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// Os dados são relidos quando o build grava um trechos.geojson novo; até lá, tudo fica em memória.
+let dataset = null;
+let responseCache = new Map();
+
+const loadDataset = async () => {
+  const { mtimeMs } = await fs.stat(TRECHOS_PATH).catch(() => {
+    throw new HttpError(503, `Dados não encontrados em ${DATA_DIR}. Rode antes: npm run build:trechos`);
+  });
+  if (dataset?.mtimeMs === mtimeMs) return dataset;
+  const [trechos, corridors, networkStats, outputIndex, manifest] = await Promise.all([
+    readJson(TRECHOS_PATH),
+    readJson(path.join(DATA_DIR, 'corridors.geojson')),
+    readJson(path.join(DATA_DIR, 'network-stats.json')),
+    readJson(path.join(DATA_DIR, 'index.json')),
+    readJson(path.join(DATA_DIR, 'build-manifest.json')),
+  ]);
+  if (!trechos) throw new HttpError(503, `Não foi possível ler ${TRECHOS_PATH}.`);
+  const trechoFeatures = trechos.features ?? [];
+  const corridorFeatures = corridors?.features ?? [];
+  const releaseIds = [...new Set(trechoFeatures.flatMap((feature) => feature.properties.releases ?? []))].sort();
+  dataset = {
+    mtimeMs,
+    generatedAt: manifest?.generatedAt ?? new Date(mtimeMs).toISOString(),
+    releaseIds,
+    latest: releaseIds[releaseIds.length - 1] ?? null,
+    networkStats,
+    outputIndex,
+    layers: {
+      trechos: { features: trechoFeatures, index: createGridIndex(trechoFeatures) },
+      corredores: { features: corridorFeatures, index: createGridIndex(corridorFeatures) },
+    },
+  };
+  responseCache = new Map();
+  console.log(`Dados carregados: ${trechoFeatures.length} trechos, ${corridorFeatures.length} corredores (build ${dataset.generatedAt})`);
+  return dataset;
+};
+
+const parseList = (value) =>
+  (value ?? '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// "latest" é a release mais recente; sem o parâmetro, vale o padrão de cada endpoint.
+const resolveRelease = (params, data, fallback) => {
+  let release = params.get('release') ?? fallback;
+  if (release === 'latest') release = data.latest;
+  if (release && !data.releaseIds.includes(release)) {
+    throw new HttpError(400, `Release desconhecida: ${release} (disponíveis: ${data.releaseIds.join(', ')})`);
+  }
+  return release;
+};
+
+const parseFilters = (params, data) => {
+  const ufs = parseList(params.get('uf')).map((uf) => uf.toUpperCase());
+  const invalidUf = ufs.find((uf) => !UF_CODES.has(uf));
+  if (invalidUf) throw new HttpError(400, `UF inválida: ${invalidUf}`);
+  const roads = parseList(params.get('road') ?? params.get('br')).map((road) => `BR-${normalizeRoad(road)}`);
+
+  let box = null;
+  if (params.has('bbox')) {
+    box = parseList(params.get('bbox')).map(Number);
+    if (box.length !== 4 || box.some((value) => !Number.isFinite(value)) || box[0] > box[2] || box[1] > box[3]) {
+      throw new HttpError(400, 'bbox deve ser oeste,sul,leste,norte em graus.');
+    }
+    if (box.some((value, idx) => Math.abs(value) > (idx % 2 ? 90 : 180))) {
+      throw new HttpError(400, 'bbox fora do globo: longitude entre -180 e 180, latitude entre -90 e 90.');
+    }
+  }
+
+  let range = null;
+  if (params.has('km')) {
+    const km = parseKm(params.get('km'));
+    range = km !== null ? { kmStart: km, kmEnd: km } : parseKmRange(params.get('km'));
+    if (!range) throw new HttpError(400, `km inválido: ${params.get('km')} (use 512 ou 500-520)`);
+  }
+
+  // Sem release, vêm todas, como no GeoJSON estático.
+  return { ufs, roads, box, range, release: resolveRelease(params, data, null) };
+};
+
+const filterFeatures = ({ features, index }, { ufs, roads, box, range, release }) =>
+  (box ? index.search(box) : features).filter(({ properties: props }) => {
+    if (ufs.length && !ufs.includes(props.uf)) return false;
+    if (roads.length && !roads.includes(props.road)) return false;
+    if (release && props.releases && !props.releases.includes(release)) return false;
+    if (range) {
+      const low = Math.min(range.kmStart, range.kmEnd);
+      const high = Math.max(range.kmStart, range.kmEnd);
+      if (props.kmStart > high || props.kmEnd < low) return false;
+    }
+    return true;
+  });
+
+const inRelease = (release) => (feature) => !feature.properties.releases || feature.properties.releases.includes(release);
+
+const tally = (features, keyOf) => {
+  const groups = new Map();
+  features.forEach(({ properties: props }) => {
+    const key = keyOf(props);
+    const group = groups.get(key) ?? { trechos: 0, radares: 0, km: 0 };
+    if (props.kind === 'point') group.radares += 1;
+    else group.trechos += 1;
+    group.km += props.lengthKm ?? 0;
+    groups.set(key, group);
+  });
+  return groups;
+};
+
+const share = (km, osmKm) => (osmKm ? Number(Math.min(100, (km / osmKm) * 100).toFixed(1)) : null);
+
+// /stats/uf e /stats/br: km fiscalizados na release e, quando há, a extensão da rodovia no OSM.
+const STAT_GROUPS = {
+  uf: { field: 'uf', keyOf: (props) => props.uf, osm: (stats) => stats?.byUf },
+  br: { field: 'road', keyOf: (props) => props.road, osm: (stats) => stats?.byRoad },
+};
+
+const statsHandler = (data, params, group) => {
+  const config = STAT_GROUPS[group];
+  if (!config) throw new HttpError(404, `Agrupamento desconhecido: ${group} (use uf ou br)`);
+  const release = resolveRelease(params, data, data.latest);
+  const features = data.layers.trechos.features.filter(inRelease(release));
+  const osmKm = config.osm(data.networkStats) ?? {};
+  const rows = [...tally(features, config.keyOf)]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, { trechos, radares, km }]) => ({
+      [config.field]: key,
+      trechos,
+      radares,
+      km: Number(km.toFixed(2)),
+      osmKm: osmKm[key] ?? null,
+      sharePct: share(km, osmKm[key]),
+    }));
+  return { generatedAt: data.generatedAt, release, rows };
+};
+
+const roadHandler = (data, params, roadParam) => {
+  const road = `BR-${normalizeRoad(roadParam)}`;
+  const release = resolveRelease(params, data, data.latest);
+  const features = data.layers.trechos.features.filter((feature) => feature.properties.road === road).filter(inRelease(release));
+  if (!features.length) throw new HttpError(404, `Nenhum trecho fiscalizado na ${road} (release ${release}).`);
+  const osmByRoadUf = data.networkStats?.byRoadUf ?? {};
+  const byUf = [...tally(features, (props) => props.uf)]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([uf, { trechos, radares, km }]) => {
+      const osmKm = osmByRoadUf[`${road}|${uf}`] ?? null;
+      return { uf, trechos, radares, km: Number(km.toFixed(2)), osmKm, sharePct: share(km, osmKm) };
+    });
+  const km = features.reduce((acc, feature) => acc + (feature.properties.lengthKm ?? 0), 0);
+  return {
+    generatedAt: data.generatedAt,
+    release,
+    road,
+    km: Number(km.toFixed(2)),
+    osmKm: data.networkStats?.byRoad?.[road] ?? null,
+    byUf,
+    trechos: features
+      .map((feature) => feature.properties)
+      .sort((a, b) => a.uf.localeCompare(b.uf) || a.kmStart - b.kmStart),
+  };
+};
+
+const collectionHandler = (layerName) => (data, params) => {
+  const features = filterFeatures(data.layers[layerName], parseFilters(params, data));
+  return { type: 'FeatureCollection', generatedAt: data.generatedAt, features };
+};
+
+const ENDPOINTS = [
+  ['/trechos', 'trechos (GeoJSON); filtros: uf, road, bbox=oeste,sul,leste,norte, km=512 ou 500-520, release'],
+  ['/corredores', 'corredores contínuos (GeoJSON), com os mesmos filtros'],
+  ['/index', 'listas de UF/BR e totais da release mais recente'],
+  ['/stats/uf', 'km fiscalizados por UF; release opcional'],
+  ['/stats/br', 'km fiscalizados por BR; release opcional'],
+  ['/roads/:br', 'resumo de uma BR por UF e lista dos trechos; release opcional'],
+];
+
+const route = (pathname) => {
+  if (pathname === '/' || pathname === '') {
+    return (data) => ({ generatedAt: data.generatedAt, endpoints: Object.fromEntries(ENDPOINTS) });
+  }
+  if (pathname === '/trechos') return collectionHandler('trechos');
+  if (pathname === '/corredores') return collectionHandler('corredores');
+  if (pathname === '/index') {
+    return (data) => {
+      if (!data.outputIndex) throw new HttpError(404, 'index.json não encontrado; rode o build de novo.');
+      return data.outputIndex;
+    };
+  }
+  const stats = /^\/stats\/([\w-]+)$/.exec(pathname);
+  if (stats) return (data, params) => statsHandler(data, params, stats[1]);
+  const road = /^\/roads\/([\w-]+)$/.exec(pathname);
+  if (road) return (data, params) => roadHandler(data, params, decodeURIComponent(road[1]));
+  return null;
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag, Last-Modified',
+};
+
+// Corpo, ETag e versão gzip ficam guardados por URL até o próximo build.
+const renderResponse = (key, data, build) => {
+  if (responseCache.has(key)) return responseCache.get(key);
+  const body = Buffer.from(JSON.stringify(build()));
+  const entry = {
+    body,
+    gzipped: gzipSync(body),
+    etag: `"${createHash('sha1').update(body).digest('hex').slice(0, 20)}"`,
+    lastModified: new Date(data.generatedAt).toUTCString(),
+  };
+  if (responseCache.size >= MAX_CACHED_RESPONSES) responseCache.delete(responseCache.keys().next().value);
+  responseCache.set(key, entry);
+  return entry;
+};
+
+const sendJson = (request, response, status, entry, extraHeaders = {}) => {
+  const gzip = /\bgzip\b/.test(request.headers['accept-encoding'] ?? '');
+  const body = gzip ? entry.gzipped : entry.body;
+  response.writeHead(status, {
+    ...CORS_HEADERS,
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': body.length,
+    Vary: 'Accept-Encoding',
+    ...(gzip ? { 'Content-Encoding': 'gzip' } : {}),
+    ...extraHeaders,
+  });
+  response.end(request.method === 'HEAD' ? undefined : body);
+};
+
+const sendError = (request, response, status, message) => {
+  const body = Buffer.from(JSON.stringify({ error: message }));
+  sendJson(request, response, status, { body, gzipped: gzipSync(body) }, { 'Cache-Control': 'no-store' });
+};
+
+const server = http.createServer(async (request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, { ...CORS_HEADERS, 'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS' });
+    response.end();
+    return;
+  }
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    sendError(request, response, 405, 'Só GET e HEAD.');
+    return;
+  }
+  const url = new URL(request.url, 'http://localhost');
+  try {
+    const handler = route(url.pathname.replace(/\/+$/, ''));
+    if (!handler) throw new HttpError(404, `Endpoint desconhecido: ${url.pathname}`);
+    const data = await loadDataset();
+    url.searchParams.sort();
+    const entry = renderResponse(`${url.pathname}?${url.searchParams}`, data, () => handler(data, url.searchParams));
+    const cacheHeaders = { ETag: entry.etag, 'Last-Modified': entry.lastModified, 'Cache-Control': CACHE_CONTROL };
+    const ifNoneMatch = parseList(request.headers['if-none-match']).map((tag) => tag.replace(/^W\//, ''));
+    if (ifNoneMatch.includes(entry.etag) || ifNoneMatch.includes('*')) {
+      response.writeHead(304, { ...CORS_HEADERS, ...cacheHeaders });
+      response.end();
+      return;
+    }
+    sendJson(request, response, 200, entry, cacheHeaders);
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error(error);
+    sendError(request, response, error.status ?? 500, error instanceof HttpError ? error.message : 'Erro interno.');
+  }
+});
+
+server.listen(Number(cliOptions.porta), cliOptions.host, () => {
+  console.log(`API dos trechos em http://${cliOptions.host}:${cliOptions.porta}/ (dados de ${DATA_DIR})`);
+});
@@ -0,0 +1,59 @@
+import bbox from '@turf/bbox';
+
+// Células de 0,5° (~55 km): um trecho de 10 km cai em uma ou duas, e uma consulta do tamanho
+// de uma cidade olha poucas células.
+const CELL_DEG = 0.5;
+
+const cellRange = ([west, south, east, north], cellDeg) => ({
+  minX: Math.floor(west / cellDeg),
+  maxX: Math.floor(east / cellDeg),
+  minY: Math.floor(south / cellDeg),
+  maxY: Math.floor(north / cellDeg),
+});
+
+const intersects = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+// Índice em grade pelas caixas das feições; a consulta devolve as que tocam a caixa pedida,
+// na ordem original.
+export const createGridIndex = (features, { cellDeg = CELL_DEG } = {}) => {
+  const boxes = features.map((feature) => bbox(feature));
+  const grid = new Map();
+  boxes.forEach((box, idx) => {
+    const { minX, maxX, minY, maxY } = cellRange(box, cellDeg);
+    for (let x = minX; x <= maxX; x += 1) {
+      for (let y = minY; y <= maxY; y += 1) {
+        const key = `${x}:${y}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(idx);
+      }
+    }
+  });
+
+  // A consulta só percorre as células ocupadas: uma caixa enorme (ou absurda) não vira milhões de voltas.
+  const cells = [...grid.keys()].map((key) => key.split(':').map(Number));
+  const extent = {
+    minX: Math.min(...cells.map(([x]) => x)),
+    maxX: Math.max(...cells.map(([x]) => x)),
+    minY: Math.min(...cells.map(([, y]) => y)),
+    maxY: Math.max(...cells.map(([, y]) => y)),
+  };
+
+  const search = (queryBox) => {
+    const range = cellRange(queryBox, cellDeg);
+    const minX = Math.max(range.minX, extent.minX);
+    const maxX = Math.min(range.maxX, extent.maxX);
+    const minY = Math.max(range.minY, extent.minY);
+    const maxY = Math.min(range.maxY, extent.maxY);
+    const found = new Set();
+    for (let x = minX; x <= maxX; x += 1) {
+      for (let y = minY; y <= maxY; y += 1) {
+        grid.get(`${x}:${y}`)?.forEach((idx) => {
+          if (intersects(boxes[idx], queryBox)) found.add(idx);
+        });
+      }
+    }
+    return [...found].sort((a, b) => a - b).map((idx) => features[idx]);
+  };
+
+  return { search };
+};
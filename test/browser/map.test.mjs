@@ -0,0 +1,240 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chromium } from 'playwright';
+import { buildCorridors } from '../../scripts/corridors.mjs';
+import { buildOutputIndex, buildTopology } from '../../scripts/output-format.mjs';
+
+// Abre docs/ num Chromium headless com os trechos de test/fixtures/site/ no lugar de data/. Nada sai
+// para a rede: o Leaflet e o topojson-client vêm de node_modules e os blocos do mapa de fundo são recusados.
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const DOCS_DIR = path.join(ROOT_DIR, 'docs');
+const FIXTURE_DATA_DIR = path.join(ROOT_DIR, 'test', 'fixtures', 'site');
+// Mesmos arquivos que o index.html pede ao unpkg, nas versões fixadas em devDependencies.
+const VENDOR_FILES = {
+  'leaflet@1.9.4/dist/leaflet.js': path.join(ROOT_DIR, 'node_modules', 'leaflet', 'dist', 'leaflet.js'),
+  'leaflet@1.9.4/dist/leaflet.css': path.join(ROOT_DIR, 'node_modules', 'leaflet', 'dist', 'leaflet.css'),
+  'topojson-client@3.1.0/dist/topojson-client.min.js': path.join(
+    ROOT_DIR,
+    'node_modules',
+    'topojson-client',
+    'dist',
+    'topojson-client.min.js',
+  ),
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.geojson': 'application/geo+json',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
+};
+
+const exists = (filePath) =>
+  fs.access(filePath).then(
+    () => true,
+    () => false,
+  );
+
+const skipReason = async () => {
+  if (!(await exists(chromium.executablePath()))) return 'Chromium do Playwright não instalado (npx playwright install chromium)';
+  for (const filePath of Object.values(VENDOR_FILES)) {
+    if (!(await exists(filePath))) return `${path.relative(ROOT_DIR, filePath)} não encontrado (npm install)`;
+  }
+  return false;
+};
+
+// Build com --topojson: índice apontando para a TopoJSON, gerada das mesmas fixtures pelo código do build.
+const writeTopojsonData = async (dir) => {
+  const { features } = JSON.parse(await fs.readFile(path.join(FIXTURE_DATA_DIR, 'trechos.geojson'), 'utf8'));
+  const corridors = buildCorridors(features);
+  const files = { trechos: 'trechos.geojson', corredores: 'corridors.geojson', topojson: 'trechos.topojson' };
+  await fs.writeFile(path.join(dir, 'trechos.topojson'), JSON.stringify(buildTopology(features, corridors)));
+  await fs.writeFile(path.join(dir, 'index.json'), JSON.stringify(buildOutputIndex(features, corridors, '2025-11', files)));
+};
+
+// /data/ vem só das fixtures: o que não está lá (índice, municípios, estados) responde 404, como num build sem
+// esses arquivos. Em /topojson/ a mesma página lê os dados de um build com TopoJSON.
+const resolvePath = (mounts, pathname) => {
+  const [prefix, baseDir] = mounts.find(([candidate]) => pathname.startsWith(candidate));
+  const relative = pathname.slice(prefix.length) || 'index.html';
+  const filePath = path.resolve(baseDir, decodeURIComponent(relative));
+  return filePath.startsWith(`${baseDir}${path.sep}`) ? filePath : null;
+};
+
+const startServer = (mounts) =>
+  new Promise((resolve) => {
+    const server = http.createServer(async (req, res) => {
+      const filePath = resolvePath(mounts, new URL(req.url, 'http://localhost').pathname);
+      const body = filePath ? await fs.readFile(filePath).catch(() => null) : null;
+      if (!body) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] ?? 'application/octet-stream' });
+      res.end(body);
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+const reason = await skipReason();
+
+describe('mapa (navegador)', { skip: reason }, () => {
+  let server;
+  let browser;
+  let baseUrl;
+  let topojsonDir;
+
+  before(async () => {
+    topojsonDir = await fs.mkdtemp(path.join(os.tmpdir(), 'radar-topojson-'));
+    await writeTopojsonData(topojsonDir);
+    server = await startServer([
+      ['/topojson/data/', topojsonDir],
+      ['/topojson/', DOCS_DIR],
+      ['/data/', FIXTURE_DATA_DIR],
+      ['/', DOCS_DIR],
+    ]);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    browser = await chromium.launch();
+  });
+
+  after(async () => {
+    await browser?.close();
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (topojsonDir) await fs.rm(topojsonDir, { recursive: true, force: true });
+  });
+
+  // `editHtml` reescreve o index.html antes de o navegador ler, para testar outra configuração nas metas.
+  const openPage = async (query = '', pagePath = '/', editHtml = null) => {
+    const context = await browser.newContext({ serviceWorkers: 'block' });
+    if (editHtml) {
+      await context.route(
+        (url) => url.origin === baseUrl && url.pathname === pagePath,
+        async (route) => {
+          const response = await route.fetch();
+          return route.fulfill({ response, body: editHtml(await response.text()) });
+        }
+      );
+    }
+    await context.route(/^https?:\/\/(?!127\.0\.0\.1)/, async (route) => {
+      const { hostname, pathname } = new URL(route.request().url());
+      const filePath = hostname === 'unpkg.com' ? VENDOR_FILES[pathname.slice(1)] : null;
+      if (!filePath) return route.abort();
+      return route.fulfill({
+        path: filePath,
+        contentType: CONTENT_TYPES[path.extname(filePath)],
+        headers: { 'Access-Control-Allow-Origin': '*' },
+      });
+    });
+    const page = await context.newPage();
+    await page.goto(`${baseUrl}${pagePath}${query}`);
+    await page.locator('#summary', { hasText: 'trechos visíveis' }).waitFor();
+    return page;
+  };
+
+  test('resume os trechos da última lista', async () => {
+    const page = await openPage();
+    const summary = await page.locator('#summary').textContent();
+    assert.match(summary, /4\s+trechos visíveis/);
+    assert.match(summary, /42,5\s+km monitorados/);
+    assert.match(summary, /Total Brasil na lista de Nov\/2025/);
+    assert.match(await page.locator('#dataSource').textContent(), /lista de Nov\/2025/);
+    assert.deepEqual(await page.locator('#releaseSelect option').allTextContents(), ['2025-11', '2025-10']);
+    await page.context().close();
+  });
+
+  test('lê trechos e corredores da TopoJSON quando o índice a publica', async () => {
+    const page = await openPage('', '/topojson/');
+    assert.match(await page.locator('#summary').textContent(), /4\s+trechos visíveis/);
+    const requested = await page.evaluate(() => performance.getEntriesByType('resource').map(({ name }) => new URL(name).pathname));
+    assert.ok(requested.includes('/topojson/data/trechos.topojson'));
+    assert.ok(!requested.some((pathname) => pathname.endsWith('.geojson') && pathname.includes('trechos')));
+    assert.equal(await page.locator('#viewControl').isVisible(), true);
+    assert.match(await page.locator('#summary').textContent(), /\d+\s+corredores contínuos/);
+    await page.selectOption('#viewSelect', 'corredores');
+    assert.match(page.url(), /ver=corredores/);
+    await page.context().close();
+  });
+
+  test('não oferece baixar o mapa de fundo dos servidores do OSM', async () => {
+    const page = await openPage();
+    assert.equal(await page.locator('#downloadTiles').isVisible(), false);
+    assert.equal(await page.locator('#offlineArea').isVisible(), false);
+    assert.equal(await page.locator('#clearTiles').isVisible(), true);
+    await page.context().close();
+  });
+
+  test('oferece baixar o mapa de fundo quando a fonte de tiles permite uso offline', async () => {
+    const page = await openPage('', '/', (html) =>
+      html.replace(
+        /<meta name="radar-tiles"[^>]*>/,
+        '<meta name="radar-tiles" content="https://tiles.example.org/{z}/{x}/{y}.png" ' +
+          'data-attribution="Tiles de teste" data-offline="sim" />'
+      )
+    );
+    assert.equal(await page.locator('#downloadTiles').isVisible(), true);
+    assert.equal(await page.locator('#offlineArea').isVisible(), true);
+    assert.match(await page.locator('.leaflet-control-attribution').textContent(), /Tiles de teste/);
+    await page.context().close();
+  });
+
+  test('filtra por UF e por BR', async () => {
+    const page = await openPage();
+    await page.selectOption('#ufSelect', 'MG');
+    assert.match(await page.locator('#summary').textContent(), /2\s+trechos visíveis/);
+    await page.selectOption('#ufSelect', 'BA');
+    await page.selectOption('#roadSelect', 'BR-101');
+    const summary = await page.locator('#summary').textContent();
+    assert.match(summary, /1\s+trechos visíveis/);
+    assert.match(summary, /12,5\s+km monitorados/);
+    assert.match(page.url(), /uf=BA&br=101/);
+    await page.context().close();
+  });
+
+  test('troca a legenda conforme o modo de cor e a comparação', async () => {
+    const page = await openPage();
+    const legendTitle = page.locator('#legend h4');
+    assert.equal(await legendTitle.textContent(), 'Legenda (cores por rodovia)');
+    assert.deepEqual(await page.locator('#legend .legend__item').allTextContents(), ['BR-116', 'BR-101']);
+    await page.check('#toggleHeat');
+    assert.equal(await legendTitle.textContent(), 'Km fiscalizados por UF');
+    await page.selectOption('#compareSelect', '2025-10');
+    assert.equal(await legendTitle.textContent(), 'Mudanças desde 2025-10');
+    assert.match(await page.locator('#summary').textContent(), /Desde 2025-10:\s+\+1\s+novos/);
+    await page.context().close();
+  });
+
+  test('compara dois conjuntos lado a lado', async () => {
+    const page = await openPage('?comparar=116,101');
+    assert.equal(await page.locator('#comparisonPanel').getAttribute('open'), '');
+    assert.equal(await page.locator('#legend h4').textContent(), 'Comparação');
+    assert.match(await page.locator('#summary').textContent(), /4\s+trechos visíveis/);
+    const table = page.locator('#comparisonSummary table');
+    assert.deepEqual(await table.locator('thead th[scope="col"]').allTextContents(), ['A: BR-116', 'B: BR-101']);
+    assert.deepEqual(await table.locator('tbody tr').first().locator('td').allTextContents(), ['3', '1']);
+    assert.deepEqual(await page.locator('#comparisonStrips figcaption').allTextContents(), ['BR-116', 'BR-101']);
+    await page.selectOption('#compareUfB', 'BA');
+    assert.match(page.url(), /comparar=116%2CBA-101/);
+    await page.context().close();
+  });
+
+  test('abre o popup do trecho indicado na URL', async () => {
+    const page = await openPage('?trecho=MG-116-90-100');
+    const popup = page.locator('.leaflet-popup-content');
+    await popup.waitFor();
+    const content = await popup.textContent();
+    assert.match(content, /BR-116/);
+    assert.match(content, /UF: MG/);
+    assert.match(content, /Km 90 – 100/);
+    assert.match(content, /Na lista desde 2025-10/);
+    await page.context().close();
+  });
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SET_COLORS, describeSet, formatSets, parseSets, setColor, setsOf } from '../docs/comparison.mjs';
+
+test('parseSets lê UF e número da BR de cada lado', () => {
+  assert.deepEqual(parseSets('MG-116,BA'), { a: { uf: 'MG', road: 'BR-116' }, b: { uf: 'BA', road: '' } });
+  assert.deepEqual(parseSets('40,sc-101'), { a: { uf: '', road: 'BR-040' }, b: { uf: 'SC', road: 'BR-101' } });
+  // Um lado vazio vale: o conjunto vazio só não casa com nada.
+  assert.deepEqual(parseSets('116,'), { a: { uf: '', road: 'BR-116' }, b: { uf: '', road: '' } });
+});
+
+test('parseSets recusa o que não forma dois lados', () => {
+  assert.equal(parseSets(','), null);
+  assert.equal(parseSets('MG'), null);
+  assert.equal(parseSets('MG,BA,SP'), null);
+  assert.equal(parseSets('xyz,1234'), null);
+});
+
+test('formatSets é o inverso de parseSets', () => {
+  ['MG-116,BA', '040,SC-101', '116,'].forEach((value) => assert.equal(formatSets(parseSets(value)), value));
+  assert.equal(formatSets(null), '');
+});
+
+test('setsOf e setColor separam A, B e os dois', () => {
+  const sets = parseSets('MG,116');
+  assert.deepEqual(setsOf(sets, { uf: 'MG', road: 'BR-116' }), ['a', 'b']);
+  assert.deepEqual(setsOf(sets, { uf: 'MG', road: 'BR-040' }), ['a']);
+  assert.deepEqual(setsOf(sets, { uf: 'BA', road: 'BR-116' }), ['b']);
+  assert.deepEqual(setsOf(sets, { uf: 'BA', road: 'BR-101' }), []);
+  assert.equal(setColor(sets, { uf: 'MG', road: 'BR-116' }), SET_COLORS.both);
+  assert.equal(setColor(sets, { uf: 'BA', road: 'BR-116' }), SET_COLORS.b);
+  assert.notEqual(setColor(sets, { uf: 'BA', road: 'BR-101' }), SET_COLORS.a);
+});
+
+test('describeSet junta BR e UF', () => {
+  assert.equal(describeSet({ uf: 'MG', road: 'BR-116' }), 'BR-116 em MG');
+  assert.equal(describeSet({ uf: '', road: 'BR-116' }), 'BR-116');
+  assert.equal(describeSet({ uf: '', road: '' }), '—');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCorridors } from '../scripts/corridors.mjs';
+import { assertUniqueIds } from '../scripts/output-format.mjs';
+import { line, near, trecho } from './fixtures/roads.mjs';
+
+// BR-116 em MG ao longo de lat 0, 1 km ≈ 0,009°.
+const segment = (kmStart, kmEnd, releases, properties = {}) =>
+  trecho(`MG-116-${kmStart}-${kmEnd}`, line([kmStart * 0.009, 0], [kmEnd * 0.009, 0], 2), {
+    uf: 'MG',
+    road: 'BR-116',
+    roadNumber: '116',
+    kmStart,
+    kmEnd,
+    lengthKm: kmEnd - kmStart,
+    releases,
+    ...properties,
+  });
+
+test('junta os trechos que se tocam e repete o corredor igual entre releases', () => {
+  const corridors = buildCorridors([
+    segment(0, 10, ['2025-10', '2025-11']),
+    segment(10, 20, ['2025-10', '2025-11']),
+    segment(30, 40, ['2025-11']),
+  ]);
+  assert.equal(corridors.length, 2);
+  assert.deepEqual(corridors[0].properties.trechos, [{ kmStart: 0, kmEnd: 10 }, { kmStart: 10, kmEnd: 20 }]);
+  assert.deepEqual(corridors[0].properties.releases, ['2025-10', '2025-11']);
+  assert.equal(corridors[0].geometry.type, 'LineString');
+  assert.deepEqual(corridors[1].properties.releases, ['2025-11']);
+});
+
+test('a mesma faixa cortada de outro jeito em outra release vira outro corredor, com outro id', () => {
+  const corridors = buildCorridors([
+    segment(0, 10, ['2025-10']),
+    segment(10, 20, ['2025-10']),
+    segment(0, 5, ['2025-11']),
+    segment(5, 20, ['2025-11']),
+  ]);
+  assert.equal(corridors.length, 2);
+  assert.deepEqual(corridors.map(({ properties }) => [properties.kmStart, properties.kmEnd]), [[0, 20], [0, 20]]);
+  assert.doesNotThrow(() => assertUniqueIds(corridors, 'Corredores'));
+  corridors.forEach(({ properties }) => assert.match(properties.id, /^MG-116-0-20-[0-9a-f]{8}$/));
+});
+
+test('o id do corredor não depende da ordem dos trechos e separa os sentidos', () => {
+  const members = [segment(0, 10, ['2025-11']), segment(10, 20, ['2025-11'])];
+  const [forward] = buildCorridors(members);
+  const [backward] = buildCorridors([...members].reverse());
+  assert.equal(forward.properties.id, backward.properties.id);
+  const oneWay = [0, 10].map((km) => segment(km, km + 10, ['2025-11'], { direction: 'crescente' }));
+  const [crescente] = buildCorridors(oneWay);
+  assert.match(crescente.properties.id, /^MG-116-0-20-crescente-/);
+  assert.notEqual(crescente.properties.id, forward.properties.id);
+});
+
+test('a extensão do corredor soma a medida na linha de cada trecho, sem contar sobreposição duas vezes', () => {
+  const [corridor] = buildCorridors([
+    segment(0, 10, ['2025-11'], { lengthKm: 10.4 }),
+    segment(10, 20, ['2025-11'], { lengthKm: 9.8 }),
+  ]);
+  near(corridor.properties.lengthKm, 20.2, 1e-9, 'emendados');
+  // Do 5–15 só a metade depois do km 10 é nova.
+  const [overlapping] = buildCorridors([
+    segment(0, 10, ['2025-11'], { lengthKm: 10.4 }),
+    segment(5, 15, ['2025-11'], { lengthKm: 12 }),
+  ]);
+  near(overlapping.properties.lengthKm, 16.4, 1e-9, 'sobrepostos');
+});
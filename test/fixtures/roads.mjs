@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+
+// Rodovias sintéticas pequenas para os testes do build e do mapa. Em lat 0, 0,001° ≈ 111 m.
+
+export const near = (actual, expected, tolerance, label = '') =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label} ${actual} ≠ ${expected} ± ${tolerance}`);
+
+// Features como saem no trechos.geojson publicado: o id e o que mais o teste precisar nas properties.
+export const trecho = (id, coordinates, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'LineString', coordinates },
+  properties: { id, ...properties },
+});
+export const radar = (id, coordinates, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates },
+  properties: { id, kind: 'point', ...properties },
+});
+
+export const line = ([lon0, lat0], [lon1, lat1], steps = 10) =>
+  Array.from({ length: steps + 1 }, (_, i) => [lon0 + ((lon1 - lon0) * i) / steps, lat0 + ((lat1 - lat0) * i) / steps]);
+
+const way = (id, coords, tags = {}) => ({ id, tags, coords });
+const member = (ref, role = '') => ({ type: 'way', ref, role });
+
+// Pista dupla entre lon 0 e lon 1: a pista "ida" (lat 0) e a "volta" (lat 0,001) são mão única e se
+// encontram num retorno em lon 1. Depois vem pista simples até lon 1,5, um buraco de ~5 km, mais um pedaço
+// só com ref até lon 2, um ramal de ~22 km saindo de lon 0,5 e um pedaço solto longe de tudo.
+export const dividedRoad = () => {
+  const ways = [
+    way(1, line([0, 0], [0.5, 0]), { oneway: 'yes' }),
+    way(2, line([0.5, 0], [1, 0]), { oneway: 'yes' }),
+    way(3, line([1, 0.001], [0.5, 0.001]), { oneway: 'yes' }),
+    way(4, line([0.5, 0.001], [0, 0.001]), { oneway: 'yes' }),
+    way(5, [[1, 0], [1, 0.001]]),
+    way(6, line([1, 0], [1.5, 0])),
+    way(7, line([0.5, 0], [0.5, 0.2])),
+    way(8, line([1.545, 0], [2, 0])),
+    way(9, line([5, 3], [5.2, 3])),
+  ];
+  // Membros fora de ordem, com as duas pistas intercaladas, como é comum nas relações do OSM.
+  const relation = { id: 100, tags: { route: 'road', ref: 'BR-999' }, members: [1, 3, 2, 4, 5, 6, 7].map((ref) => member(ref)) };
+  return { relations: [relation], ways };
+};
+
+// Quadrado de 2° por 2° fazendo as vezes de UF, cortado de norte a sul por uma longitudinal (BR-116).
+export const squareState = {
+  type: 'Feature',
+  properties: { sigla: 'MG' },
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[-46, -21], [-44, -21], [-44, -19], [-46, -19], [-46, -21]]],
+  },
+};
+
+export const longitudinalRoad = () => line([-45, -18], [-45, -22], 400);
+
+// Longitudinal que sai do quadrado pelo oeste perto de lat -20 e volta uns 10 km ao sul.
+export const detourRoad = () => [
+  ...line([-45.9, -18.5], [-45.9, -19.9], 140),
+  ...line([-45.9, -19.9], [-46.3, -20], 40).slice(1),
+  ...line([-46.3, -20], [-45.9, -20.1], 40).slice(1),
+  ...line([-45.9, -20.1], [-45.9, -22], 190).slice(1),
+];
+
+// Longitudinal em dois pedaços que o OSM não liga, com um buraco de ~45 km no meio do quadrado. Vêm fora de
+// ordem e o do norte ao contrário, como saem da montagem.
+export const brokenRoad = () => [line([-45, -20.2], [-45, -22], 180), line([-45, -19.8], [-45, -18], 180)];
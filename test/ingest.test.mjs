@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseDirection, parseKm, parseKmRange, readReleaseFile } from '../scripts/ingest.mjs';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'releases');
+
+test('parseKm aceita vírgula decimal, milhar e estaca', () => {
+  assert.equal(parseKm('90,0'), 90);
+  assert.equal(parseKm('1.234,5'), 1234.5);
+  assert.equal(parseKm('km 12+500'), 12.5);
+  assert.equal(parseKm('1o5'), 105);
+  assert.equal(parseKm('dez'), null);
+  assert.equal(parseKm(''), null);
+});
+
+test('parseKmRange separa faixas numa célula só', () => {
+  assert.deepEqual(parseKmRange('100 - 110'), { kmStart: 100, kmEnd: 110 });
+  assert.deepEqual(parseKmRange('km 12+500 ao km 15+000'), { kmStart: 12.5, kmEnd: 15 });
+  assert.equal(parseKmRange('100'), null);
+});
+
+test('parseDirection distingue sentido ausente de sentido inválido', () => {
+  assert.equal(parseDirection('Decresc'), 'decrescente');
+  assert.equal(parseDirection('Ambos'), null);
+  assert.equal(parseDirection(''), null);
+  assert.equal(parseDirection('Norte'), undefined);
+});
+
+test('planilha da PRF: acha o cabeçalho depois do título e rejeita linhas ruins', async () => {
+  const { segments, rejected } = await readReleaseFile(path.join(FIXTURES_DIR, 'planilha-prf.csv'));
+  assert.deepEqual(segments, [
+    { uf: 'MG', road: '116', kmStart: 90, kmEnd: 100 },
+    { uf: 'MG', road: '116', kmStart: 1234.5, kmEnd: 1240 },
+    { uf: 'BA', road: '101', kmStart: 12.5, kmEnd: 15 },
+  ]);
+  assert.deepEqual(
+    rejected.map(({ line, reason }) => [line, reason]),
+    [
+      [8, 'UF inválida: "XX"'],
+      [9, 'Rodovia ausente'],
+      [10, 'Km inicial inválido: "dez"'],
+    ],
+  );
+});
+
+test('lista de radares: km único vira ponto, com sentido e velocidade', async () => {
+  const { segments, rejected } = await readReleaseFile(path.join(FIXTURES_DIR, 'radares.csv'));
+  assert.deepEqual(segments, [
+    { uf: 'MG', road: '040', kmStart: 512.3, kmEnd: 512.3, kind: 'point', direction: 'crescente', speedLimit: 80 },
+    { uf: 'MG', road: '040', kmStart: 500, kmEnd: 505 },
+  ]);
+  assert.deepEqual(
+    rejected.map(({ reason }) => reason),
+    ['Sentido inválido: "Norte"', 'Velocidade inválida: "60km"'],
+  );
+});
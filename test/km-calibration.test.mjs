@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalibration, parseMilestoneKm } from '../scripts/km-calibration.mjs';
+import { line, near } from './fixtures/roads.mjs';
+
+// Linha leste-oeste no equador: 1° ≈ 111,2 km.
+const coords = line([0, 0], [2, 0], 200);
+const marker = (id, km, lon, lat = 0) => ({ id, km, coordinates: [lon, lat] });
+
+test('parseMilestoneKm lê distance, km e o nome', () => {
+  assert.equal(parseMilestoneKm({ distance: '123' }), 123);
+  assert.equal(parseMilestoneKm({ distance: 'km 45,5' }), 45.5);
+  assert.equal(parseMilestoneKm({ km: '7.2' }), 7.2);
+  assert.equal(parseMilestoneKm({ name: 'Marco km 310' }), 310);
+  assert.equal(parseMilestoneKm({ distance: 'norte' }), null);
+  assert.equal(parseMilestoneKm({}), null);
+});
+
+test('sem marcos, o km vale como distância', () => {
+  const calibration = buildCalibration([coords], []);
+  assert.equal(calibration.toDistance(42), 42);
+  assert.equal(calibration.toKm(42), 42);
+  assert.deepEqual(calibration.anchors, []);
+});
+
+test('interpola entre os marcos e estende a correção nas pontas', () => {
+  // km 10 aos 20 km da linha e km 110 aos 120 km: correção constante de +10 km.
+  const calibration = buildCalibration([coords], [marker('a', 10, 20 / 111.195), marker('b', 110, 120 / 111.195)]);
+  assert.equal(calibration.anchors.length, 2);
+  near(calibration.toDistance(60), 70, 0.05);
+  near(calibration.toDistance(0), 10, 0.05);
+  near(calibration.toDistance(150), 160, 0.05);
+  near(calibration.toKm(70), 60, 0.05);
+  near(calibration.anchors[0].correctionKm, 10, 0.05);
+});
+
+test('descarta marcos longe da linha, repetidos e fora de ordem', () => {
+  const calibration = buildCalibration([coords], [
+    marker('perto', 10, 10 / 111.195),
+    marker('repetido', 10, 10.5 / 111.195, 0.002),
+    marker('longe', 30, 30 / 111.195, 0.05),
+    marker('meio', 50, 50 / 111.195),
+    marker('trocado', 60, 20 / 111.195),
+    marker('fim', 100, 100 / 111.195),
+  ]);
+  assert.deepEqual(calibration.anchors.map(({ id }) => id), ['perto', 'meio', 'fim']);
+  const reasons = Object.fromEntries(calibration.rejected.map(({ id, reason }) => [id, reason]));
+  assert.deepEqual(reasons, { repetido: 'km repetido', longe: 'longe da linha', trocado: 'fora de ordem' });
+  const trocado = calibration.rejected.find(({ id }) => id === 'trocado');
+  near(trocado.residualKm, -40, 0.1);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import length from '@turf/length';
+import {
+  MAX_GAP_KM,
+  assignTrechoIds,
+  buildStatePiece,
+  clipLineToState,
+  sliceSegment,
+  splitByGap,
+  trechoId,
+} from '../scripts/linear-referencing.mjs';
+import { assertUniqueIds } from '../scripts/output-format.mjs';
+import { brokenRoad, detourRoad, longitudinalRoad, near, squareState } from './fixtures/roads.mjs';
+
+const piece = () => buildStatePiece({ roadId: '116', uf: 'MG', lines: [longitudinalRoad()], state: squareState });
+
+const segment = (fields) => ({
+  uf: 'MG',
+  road: '116',
+  firstSeen: '2025-11',
+  lastSeen: '2025-11',
+  releases: ['2025-11'],
+  ...fields,
+});
+
+test('clipLineToState corta a linha na divisa', () => {
+  const runs = clipLineToState(longitudinalRoad(), squareState);
+  assert.equal(runs.length, 1);
+  const lats = runs[0].map(([, lat]) => lat);
+  near(Math.max(...lats), -19, 1e-3, 'entrada');
+  near(Math.min(...lats), -21, 1e-3, 'saída');
+});
+
+test('a linha da UF começa no km 0 da rodovia (longitudinal: norte → sul)', () => {
+  const { feature, lengthKm } = piece();
+  const coords = feature.geometry.coordinates;
+  assert.ok(coords[0][1] > coords[coords.length - 1][1]);
+  near(lengthKm, 222.4, 0.5, 'extensão');
+});
+
+test('a linha que sai da UF e volta não conta a reta entre as partes', () => {
+  const runs = clipLineToState(detourRoad(), squareState);
+  assert.equal(runs.length, 2);
+  const runKm = runs.map((coords) => length({ type: 'LineString', coordinates: coords }));
+  const detour = buildStatePiece({ roadId: '116', uf: 'MG', lines: [detourRoad()], state: squareState });
+  near(detour.lengthKm, runKm[0] + runKm[1], 0.01, 'extensão');
+  const { feature, report } = sliceSegment(detour, segment({ kmStart: runKm[0] - 5, kmEnd: runKm[0] + 5 }));
+  assert.equal(feature.geometry.type, 'MultiLineString');
+  assert.equal(report.gapSplits, 0);
+  near(feature.properties.lengthKm, 10, 0.01, 'extensão do trecho');
+  const [northPart, southPart] = feature.geometry.coordinates;
+  near(northPart[northPart.length - 1][0], -46, 1e-3, 'saída');
+  near(southPart[0][0], -46, 1e-3, 'volta');
+});
+
+test('os pedaços desconexos da rodovia entram na linha da UF na ordem do km', () => {
+  const broken = buildStatePiece({ roadId: '116', uf: 'MG', lines: brokenRoad(), state: squareState });
+  assert.equal(broken.runs.length, 2);
+  near(broken.lengthKm, 1.6 * 111.2, 0.5, 'extensão');
+  const [north, south] = broken.feature.geometry.coordinates;
+  near(north[0][1], -19, 1e-3, 'km 0 na divisa norte');
+  near(north[north.length - 1][1], -19.8, 1e-3, 'fim do pedaço norte');
+  near(south[0][1], -20.2, 1e-3, 'começo do pedaço sul');
+  const { feature } = sliceSegment(broken, segment({ kmStart: 85, kmEnd: 95 }));
+  assert.equal(feature.geometry.type, 'MultiLineString');
+  near(feature.properties.lengthKm, 10, 0.01, 'extensão do trecho');
+});
+
+test('sliceSegment corta o trecho pela quilometragem', () => {
+  const { feature, report } = sliceSegment(piece(), segment({ kmStart: 20, kmEnd: 10 }));
+  assert.equal(report.clamped, false);
+  assert.equal(feature.properties.kmStart, 10);
+  assert.equal(feature.properties.kmEnd, 20);
+  near(feature.properties.lengthKm, 10, 0.01, 'extensão');
+  near(feature.geometry.coordinates[0][1], -19 - 10 / 111.2, 1e-3, 'início');
+  assert.equal(trechoId(feature.properties), 'MG-116-10-20');
+});
+
+test('sliceSegment limita o trecho ao fim da linha', () => {
+  const { feature, report } = sliceSegment(piece(), segment({ kmStart: 200, kmEnd: 260 }));
+  assert.equal(report.clamped, true);
+  near(report.clampedKm, 260 - 222.4, 0.5, 'km cortados');
+  near(feature.properties.lengthKm, 22.4, 0.5, 'extensão');
+  assert.equal(feature.properties.kmStart, 200);
+  assert.equal(feature.properties.kmEnd, 260);
+});
+
+test('sliceSegment marca o trecho sem geometria na UF', () => {
+  const { feature, report } = sliceSegment(null, segment({ kmStart: 0, kmEnd: 10 }));
+  assert.equal(feature, null);
+  assert.equal(report.skipped, true);
+  assert.equal(report.skipReason, 'sem geometria na UF');
+});
+
+test('sliceSegment descarta o trecho ou radar todo além do fim da linha', () => {
+  const trecho = sliceSegment(piece(), segment({ kmStart: 240, kmEnd: 250 }));
+  assert.equal(trecho.feature, null);
+  assert.equal(trecho.report.skipped, true);
+  assert.equal(trecho.report.skipReason, 'fora da linha');
+  const radar = sliceSegment(piece(), segment({ kind: 'point', kmStart: 240, kmEnd: 240 }));
+  assert.equal(radar.feature, null);
+  assert.equal(radar.report.skipReason, 'fora da linha');
+});
+
+test('radar fixo vira ponto com o rumo do sentido fiscalizado', () => {
+  const crescente = sliceSegment(piece(), segment({ kind: 'point', kmStart: 50, kmEnd: 50, direction: 'crescente' }));
+  const decrescente = sliceSegment(piece(), segment({ kind: 'point', kmStart: 50, kmEnd: 50, direction: 'decrescente' }));
+  assert.equal(crescente.feature.geometry.type, 'Point');
+  assert.equal(crescente.feature.properties.bearing, 180);
+  assert.equal(decrescente.feature.properties.bearing, 0);
+  assert.equal(trechoId(crescente.feature.properties), 'MG-116-50-50-radar-crescente');
+});
+
+test('com marcos, o corte segue a tabela de calibração', () => {
+  // Marcos 5% "curtos": o km 100 oficial fica a 105 km do início da linha.
+  const milestones = [0, 50, 100, 150].map((km) => ({ id: km, km, coordinates: [-45, -19 - (km * 1.05) / 111.2] }));
+  const calibrated = buildStatePiece({ roadId: '116', uf: 'MG', lines: [longitudinalRoad()], state: squareState, milestones });
+  assert.equal(calibrated.calibration.anchors.length, 4);
+  const { feature } = sliceSegment(calibrated, segment({ kmStart: 100, kmEnd: 110 }));
+  near(feature.geometry.coordinates[0][1], -19 - 105 / 111.2, 2e-3, 'início');
+  near(feature.properties.lengthKm, 10.5, 0.05, 'extensão');
+  assert.equal(feature.properties.kmStart, 100);
+});
+
+test('splitByGap separa saltos maiores que o limite', () => {
+  const coords = [[-45, -19], [-45, -19.01], [-45, -19.5], [-45, -19.51]];
+  const chunks = splitByGap(coords);
+  assert.equal(chunks.length, 2);
+  assert.ok(length({ type: 'LineString', coordinates: [coords[1], coords[2]] }) > MAX_GAP_KM);
+  assert.deepEqual(splitByGap([[-45, -19]]), []);
+});
+
+test('assignTrechoIds numera as linhas repetidas da planilha', () => {
+  const features = assignTrechoIds(
+    [
+      segment({ kmStart: 10, kmEnd: 20 }),
+      segment({ kmStart: 20, kmEnd: 10 }),
+      segment({ kmStart: 10, kmEnd: 20, direction: 'crescente' }),
+      segment({ kmStart: 30, kmEnd: 40 }),
+    ].map((fields) => sliceSegment(piece(), fields).feature)
+  );
+  assert.deepEqual(
+    features.map(({ properties }) => properties.id),
+    ['MG-116-10-20', 'MG-116-10-20-2', 'MG-116-10-20-crescente', 'MG-116-30-40']
+  );
+  assertUniqueIds(features, 'Trechos');
+  assert.throws(() => assertUniqueIds([features[0], features[0]], 'Trechos'), /1 ids repetidos \(MG-116-10-20\)/);
+});
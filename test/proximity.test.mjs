@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bearingDeg, createProximityTracker } from '../docs/proximity.mjs';
+import { line, near, radar, trecho } from './fixtures/roads.mjs';
+
+// Anda para leste sobre lat 0, de lon `from` a lon `to`, devolvendo o resultado de cada posição.
+const drive = (tracker, from, to, steps, lat = 0) =>
+  line([from, lat], [to, lat], steps).map((position) => tracker.update(position));
+
+test('bearingDeg dá o rumo em graus a partir do norte', () => {
+  near(bearingDeg([0, 0], [0, 1]), 0, 1e-9, 'norte');
+  near(bearingDeg([0, 0], [1, 0]), 90, 1e-9, 'leste');
+  near(bearingDeg([0, 0], [0, -1]), 180, 1e-9, 'sul');
+  near(bearingDeg([0, 0], [-1, 0]), 270, 1e-9, 'oeste');
+});
+
+test('avisa ao entrar e ao sair do trecho, e mostra o próximo à frente', () => {
+  const feature = trecho('a', line([0.1, 0], [0.2, 0]));
+  const tracker = createProximityTracker([feature]);
+  const before = drive(tracker, 0, 0.05, 5);
+  assert.equal(before.at(-1).inside, null);
+  assert.equal(before.at(-1).next.feature, feature);
+  near(before.at(-1).next.distanceKm, 5.56, 0.05, 'distância até o trecho');
+
+  // Uns 30 m ao lado da linha: dentro, com a posição puxada para a linha.
+  const during = drive(tracker, 0.06, 0.15, 9, 0.0003);
+  const enter = during.find(({ event }) => event === 'enter');
+  assert.ok(enter);
+  assert.equal(enter.inside, feature);
+  assert.equal(during.filter(({ event }) => event).length, 1);
+  near(during.at(-1).snapped[1], 0, 1e-9, 'latitude na linha');
+
+  const after = drive(tracker, 0.16, 0.25, 9);
+  assert.deepEqual(after.filter(({ event }) => event).map(({ event }) => event), ['leave']);
+  assert.equal(after.at(-1).inside, null);
+  assert.equal(after.at(-1).next, null);
+});
+
+test('radar fixo no sentido contrário não vale para quem passa', () => {
+  const contramao = radar('contramão', [0.1, 0], { bearing: 270 });
+  const mesmoSentido = radar('mesmo sentido', [0.2, 0], { bearing: 90 });
+  const tracker = createProximityTracker([contramao, mesmoSentido]);
+  const results = drive(tracker, 0, 0.25, 250, 0.0002);
+  const entered = results.filter(({ event }) => event === 'enter').map(({ inside }) => inside.properties.id);
+  assert.deepEqual(entered, ['mesmo sentido']);
+  // Perto de radar fixo a posição não é puxada para ele.
+  const atRadar = results.find(({ inside }) => inside === mesmoSentido);
+  assert.deepEqual(atRadar.snapped, atRadar.position);
+});
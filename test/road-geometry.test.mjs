@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assembleRoadGeometry, joinAtEndpoints } from '../scripts/road-geometry.mjs';
+import { dividedRoad, line } from './fixtures/roads.mjs';
+
+test('segue uma pista só na rodovia duplicada', () => {
+  const { coords, directed } = assembleRoadGeometry(dividedRoad());
+  assert.equal(directed, true);
+  const dividedStretch = coords.filter(([lon]) => lon > 0.001 && lon < 0.999);
+  const latitudes = new Set(dividedStretch.map(([, lat]) => lat));
+  assert.equal(latitudes.size, 1);
+});
+
+test('liga buracos pequenos e guarda os pedaços desconexos à parte', () => {
+  const result = assembleRoadGeometry(dividedRoad());
+  const lons = result.coords.map(([lon]) => lon);
+  assert.equal(Math.min(...lons), 0);
+  assert.equal(Math.max(...lons), 2);
+  // ida (~111 km) + pista simples (~56 km) + buraco (~5 km) + pedaço só com ref (~51 km)
+  assert.ok(Math.abs(result.lengthKm - 222.5) < 1, `extensão ${result.lengthKm}`);
+  assert.equal(result.components.length, 1);
+  assert.deepEqual(result.components[0].map(([, lat]) => lat), result.components[0].map(() => 3));
+  assert.ok(Math.abs(result.componentLengthKm - 22.2) < 0.5);
+  assert.equal(result.droppedComponents, 0);
+});
+
+test('descarta fragmentos menores que um ramal e a outra pista solta', () => {
+  const road = dividedRoad();
+  const result = assembleRoadGeometry({
+    ...road,
+    ways: [
+      ...road.ways,
+      // Outra pista solta a ~110 m da pista "ida", longe demais das pontas para ser emendada.
+      { id: 10, tags: {}, coords: line([0.7, -0.001], [0.9, -0.001]) },
+      { id: 11, tags: {}, coords: line([7, 3], [7.005, 3], 2) },
+    ],
+  });
+  assert.equal(result.components.length, 1);
+  assert.equal(result.droppedComponents, 1);
+  assert.ok(Math.abs(result.droppedLengthKm - 0.56) < 0.05);
+});
+
+test('mantém o ramal como linha separada', () => {
+  const { branches, branchLengthKm, assembly } = assembleRoadGeometry(dividedRoad());
+  assert.equal(assembly, 'relation');
+  assert.equal(branches.length, 1);
+  assert.deepEqual(branches[0].map(([lon]) => lon), branches[0].map(() => 0.5));
+  assert.ok(Math.abs(branchLengthKm - 22.2) < 0.5);
+});
+
+test('um trecho repetido em duas relações não aumenta a extensão', () => {
+  const road = dividedRoad();
+  const single = assembleRoadGeometry(road);
+  const concurrent = assembleRoadGeometry({
+    ...road,
+    relations: [...road.relations, { id: 101, tags: { ref: 'BR-998;BR-999' }, members: [{ type: 'way', ref: 6, role: '' }] }],
+  });
+  assert.ok(Math.abs(concurrent.lengthKm - single.lengthKm) < 1e-9);
+});
+
+test('sem relação, monta a partir das ways com a ref', () => {
+  const { ways } = dividedRoad();
+  const result = assembleRoadGeometry({ relations: [], ways });
+  assert.equal(result.assembly, 'ways');
+  assert.ok(Math.abs(result.lengthKm - 222.5) < 1);
+});
+
+test('sem ways, não há geometria', () => {
+  assert.equal(assembleRoadGeometry({ relations: [], ways: [] }), null);
+});
+
+test('joinAtEndpoints junta segmentos invertidos pelas pontas', () => {
+  const joined = joinAtEndpoints([line([1, 0], [2, 0], 2), line([1, 0], [0, 0], 2).reverse(), line([5, 5], [6, 5], 1)]);
+  assert.equal(joined.length, 2);
+  assert.deepEqual(joined[0], [[0, 0], [0.5, 0], [1, 0], [1.5, 0], [2, 0]]);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  featureLines,
+  haversineKm,
+  matchRoute,
+  parseTrack,
+  projectOnSegment,
+  trimTrack,
+} from '../docs/route-matching.mjs';
+import { line, near, radar, trecho } from './fixtures/roads.mjs';
+
+test('haversineKm mede em km', () => {
+  near(haversineKm([0, 0], [1, 0]), 111.19, 0.01);
+  near(haversineKm([-43.2, -22.9], [-43.2, -22.9]), 0, 1e-9);
+});
+
+test('featureLines trata radar fixo como linha de um vértice', () => {
+  assert.deepEqual(featureLines({ type: 'Point', coordinates: [1, 2] }), [[[1, 2]]]);
+  assert.deepEqual(featureLines({ type: 'LineString', coordinates: [[0, 0], [1, 1]] }), [[[0, 0], [1, 1]]]);
+  assert.deepEqual(
+    featureLines({
+      type: 'GeometryCollection',
+      geometries: [
+        { type: 'MultiLineString', coordinates: [[[0, 0], [1, 0]], [[2, 0], [3, 0]]] },
+        { type: 'Point', coordinates: [5, 5] },
+      ],
+    }),
+    [[[0, 0], [1, 0]], [[2, 0], [3, 0]], [[5, 5]]]
+  );
+  assert.deepEqual(featureLines(null), []);
+});
+
+test('parseTrack lê GeoJSON na ordem do arquivo e exige dois pontos', () => {
+  const text = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [trecho('a', [[0, 0], [0.1, 0]]), trecho('b', [[0.1, 0], [0.2, 0]])],
+  });
+  assert.deepEqual(parseTrack(text, 'rota.geojson'), [[0, 0], [0.1, 0], [0.1, 0], [0.2, 0]]);
+  assert.throws(() => parseTrack(JSON.stringify(radar('a', [0, 0]))), /pelo menos dois pontos/);
+});
+
+const nearCoords = (actual, expected, label) => {
+  assert.equal(actual.length, expected.length, `${label}: ${JSON.stringify(actual)}`);
+  actual.forEach((coord, idx) => coord.forEach((value, k) => near(value, expected[idx][k], 1e-9, label)));
+};
+
+test('trimTrack corta na projeção da origem e do destino e inverte quando a origem vem depois', () => {
+  const coords = line([0, 0], [1, 0]);
+  nearCoords(trimTrack(coords, [0.21, 0.01], [0.39, 0]), [[0.21, 0], [0.3, 0], [0.39, 0]], 'ida');
+  nearCoords(trimTrack(coords, [0.4, 0], [0.2, 0]), [[0.4, 0], [0.3, 0], [0.2, 0]], 'invertida');
+  nearCoords(trimTrack(coords, null, [0.25, 0]), [[0, 0], [0.1, 0], [0.2, 0], [0.25, 0]], 'só destino');
+  assert.equal(trimTrack(coords, null, null), coords);
+});
+
+test('trimTrack fica na primeira passagem pela origem e no destino logo depois dela', () => {
+  // Ida e volta pela mesma estrada, com a volta ~110 m ao norte; a origem fica mais perto da volta.
+  const coords = [...line([0, 0], [1, 0]), ...line([1, 0.001], [0, 0.001])];
+  const trimmed = trimTrack(coords, [0.2, 0.0008], [0.8, 0.0002]);
+  assert.ok(trimmed.every(([, lat]) => lat === 0), JSON.stringify(trimmed));
+  near(trimmed[0][0], 0.2, 1e-9, 'origem');
+  near(trimmed.at(-1)[0], 0.8, 1e-9, 'destino');
+  // Com a volta ~2 km ao norte, um destino ao lado dela só casa na volta, depois do retorno em lon 1.
+  const loop = [...line([0, 0], [1, 0]), ...line([1, 0.02], [0, 0.02])];
+  const back = trimTrack(loop, [0.2, 0], [0.5, 0.021]);
+  nearCoords([back[0], back.at(-1)], [[0.2, 0], [0.5, 0.02]], 'destino na volta');
+  assert.ok(back.some(([lon, lat]) => lon === 1 && lat === 0));
+});
+
+test('projectOnSegment devolve a distância e a posição relativa no segmento', () => {
+  const { distKm, t } = projectOnSegment([0.5, 0.01], [0, 0], [1, 0]);
+  near(distKm, 1.113, 0.01, 'distância');
+  near(t, 0.5, 1e-6, 't');
+  assert.equal(projectOnSegment([2, 0], [0, 0], [1, 0]).t, 1);
+});
+
+test('matchRoute devolve os trechos percorridos na ordem da rota', () => {
+  const route = line([0, 0], [1, 0], 100);
+  const features = [
+    trecho('depois', line([0.6, 0.0005], [0.7, 0.0005])),
+    trecho('antes', line([0.2, 0], [0.3, 0])),
+    // Cruza a rota em viaduto: só um vértice fica perto dela.
+    trecho('viaduto', line([0.45, -0.05], [0.45, 0.05])),
+    trecho('longe', line([0.2, 0.1], [0.3, 0.1])),
+    radar('radar', [0.5, 0.001]),
+    radar('radar longe', [0.5, 0.05]),
+  ];
+  const { totalKm, matches } = matchRoute(route, features);
+  near(totalKm, 111.19, 0.01, 'extensão da rota');
+  assert.deepEqual(matches.map(({ feature }) => feature.properties.id), ['antes', 'radar', 'depois']);
+  near(matches[0].entryKm, 22.24, 0.05, 'entrada');
+  near(matches[0].exitKm, 33.36, 0.05, 'saída');
+  near(matches[0].overlapKm, 11.12, 0.05, 'sobreposição');
+});
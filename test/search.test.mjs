@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeQuery,
+  indexGazetteer,
+  isEmptyQuery,
+  matchesQuery,
+  normalizeText,
+  parseQuery,
+} from '../docs/search.mjs';
+import { line, trecho } from './fixtures/roads.mjs';
+
+const gazetteer = indexGazetteer({
+  municipios: [
+    ['Juiz de Fora', 'MG', -21.76, -43.35],
+    ['Bom Jesus', 'PI', -9.07, -44.36],
+    ['Bom Jesus', 'RS', -28.67, -50.43],
+  ],
+});
+
+// BR-040 passando por Juiz de Fora, e a BR-116 a uns 40 km dali.
+const br040 = trecho('MG-040-770-780', line([-43.4, -21.7], [-43.3, -21.8]), {
+  uf: 'MG',
+  road: 'BR-040',
+  kmStart: 770,
+  kmEnd: 780,
+});
+const br116 = trecho('MG-116-100-110', line([-42.9, -21.5], [-42.9, -21.6]), {
+  uf: 'MG',
+  road: 'BR-116',
+  kmStart: 100,
+  kmEnd: 110,
+  notes: 'Serra',
+});
+
+test('normalizeText tira acentos, caixa e espaços repetidos', () => {
+  assert.equal(normalizeText('  São   PAULO '), 'sao paulo');
+  assert.equal(normalizeText(null), '');
+});
+
+test('parseQuery entende BR, UF e faixas de km, com e sem chave', () => {
+  const query = parseQuery('br 116 km 100 a 250, uf:mg', gazetteer);
+  assert.deepEqual(query.roads, ['BR-116']);
+  assert.deepEqual(query.ufs, ['MG']);
+  assert.deepEqual(query.kmRanges, [{ min: 100, max: 250 }]);
+  assert.deepEqual(parseQuery('br:40 km:300-200').kmRanges, [{ min: 200, max: 300 }]);
+  assert.deepEqual(parseQuery('br:40').roads, ['BR-040']);
+  assert.deepEqual(parseQuery('SC').ufs, ['SC']);
+});
+
+test('parseQuery acha municípios pelo nome, com ou sem a UF', () => {
+  assert.equal(parseQuery('Bom Jesus', gazetteer).places.length, 2);
+  assert.deepEqual(parseQuery('bom jesus/rs', gazetteer).places.map(({ uf }) => uf), ['RS']);
+  const query = parseQuery('cidade:Juiz de Fora raio:30', gazetteer);
+  assert.deepEqual(query.places.map(({ name }) => name), ['Juiz de Fora']);
+  assert.equal(query.radiusKm, 30);
+  assert.deepEqual(parseQuery('Xique Xique', gazetteer).unresolved, ['Xique Xique']);
+});
+
+test('matchesQuery soma termos do mesmo tipo e restringe entre tipos', () => {
+  assert.equal(matchesQuery(br040, parseQuery('br:40 br:116')), true);
+  assert.equal(matchesQuery(br040, parseQuery('br:40 km:800')), false);
+  assert.equal(matchesQuery(br040, parseQuery('km 775')), true);
+  assert.equal(matchesQuery(br040, parseQuery('Juiz de Fora', gazetteer)), true);
+  assert.equal(matchesQuery(br116, parseQuery('Juiz de Fora', gazetteer)), false);
+  assert.equal(matchesQuery(br116, parseQuery('Juiz de Fora raio:60', gazetteer)), true);
+  assert.equal(matchesQuery(br116, parseQuery('serra')), true);
+  assert.equal(matchesQuery(br040, parseQuery('serra')), false);
+});
+
+test('isEmptyQuery e describeQuery', () => {
+  assert.equal(isEmptyQuery(parseQuery('')), true);
+  assert.equal(isEmptyQuery(parseQuery('br 116')), false);
+  assert.equal(describeQuery(parseQuery('br 116 km 100-250, uf:MG')), 'BR-116 · MG · km 100–250');
+  assert.equal(describeQuery(parseQuery('Juiz de Fora', gazetteer)), 'até 20 km de Juiz de Fora/MG');
+});
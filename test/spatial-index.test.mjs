@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lineString } from '@turf/helpers';
+import { createGridIndex } from '../scripts/spatial-index.mjs';
+import { line } from './fixtures/roads.mjs';
+
+const features = [
+  lineString(line([-45, -19], [-45, -20]), { id: 'a' }),
+  lineString(line([-43.2, -22.9], [-43.1, -22.8]), { id: 'b' }),
+  lineString(line([-38.5, -13], [-38.4, -12.9]), { id: 'c' }),
+];
+const ids = (found) => found.map(({ properties }) => properties.id);
+
+test('search devolve as feições que tocam a caixa, na ordem original', () => {
+  const index = createGridIndex(features);
+  assert.deepEqual(ids(index.search([-44, -23, -38, -12])), ['b', 'c']);
+  assert.deepEqual(ids(index.search([-45.1, -19.5, -44.9, -19.4])), ['a']);
+  assert.deepEqual(ids(index.search([-60, -5, -59, -4])), []);
+});
+
+test('search limita caixas enormes às células ocupadas', () => {
+  const index = createGridIndex(features);
+  const started = Date.now();
+  assert.deepEqual(ids(index.search([-1e9, -1e9, 1e9, 1e9])), ['a', 'b', 'c']);
+  assert.deepEqual(ids(index.search([1e8, 1e8, 1e9, 1e9])), []);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('índice vazio não encontra nada', () => {
+  assert.deepEqual(createGridIndex([]).search([-180, -90, 180, 90]), []);
+});